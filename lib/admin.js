@@ -0,0 +1,469 @@
+import express from 'express';
+import { appendFile, readFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { bufferJsonBody } from './body.js';
+import { proxyErrorBody } from './errors.js';
+import { toPublicRecord } from './key-store.js';
+import { validateLimits, dayKey } from './rate-limit.js';
+import { summarizeUsage } from './usage.js';
+import { usageByDay, DASHBOARD_USAGE_DAYS } from './dashboard.js';
+import { logger } from './logger.js';
+
+// Admin API (mounted at /admin, see server.js for authentication)
+// Changes apply immediately, without a restart:
+//
+//   GET    /admin/keys                      list API keys (without hashes)
+//   POST   /admin/keys                      create a key - the plaintext key is only in this response
+//   PATCH  /admin/keys/:id                  change a key's name, scopes, models, limits, priority, ...
+//   DELETE /admin/keys/:id                  revoke a key
+//   GET    /admin/upstreams                 upstream status
+//   POST   /admin/upstreams                 add an upstream { name, url, weight, maxConcurrency }
+//   PATCH  /admin/upstreams/:name           change weight / maxConcurrency
+//   POST   /admin/upstreams/:name/drain     stop sending new requests (in-flight ones finish)
+//   POST   /admin/upstreams/:name/resume    send new requests again
+//   DELETE /admin/upstreams/:name           remove an upstream
+//   GET    /admin/limits                    default and per-key rate limits
+//   PATCH  /admin/limits                    change default rate limits
+//   GET    /admin/aliases                   model aliases
+//   PUT    /admin/aliases                   replace all aliases { alias: model, ... }
+//   PUT    /admin/aliases/:alias            set one alias { model }
+//   DELETE /admin/aliases/:alias            remove an alias
+//   GET    /admin/requests                  requests currently being handled
+//   GET    /admin/usage                     token usage report (?from=&to=)
+//   GET    /admin/audit                     recent admin changes (?limit=)
+//   GET    /admin/dashboard                 everything the web dashboard (/ui) shows
+//
+// Key changes are saved to the key store. Upstream, limit and alias changes only live
+// in memory and are lost on restart or config file reload. Every change is appended to
+// the audit log.
+
+export const DEFAULT_AUDIT_LOG_PATH = 'data/admin-audit.jsonl';
+
+// Append-only audit log of admin changes (JSON Lines)
+// Each line: { timestamp, actor, clientIp, requestId, action, target, ...details }
+export class AuditLog {
+  constructor(filePath = DEFAULT_AUDIT_LOG_PATH) {
+    this.filePath = resolve(filePath);
+    mkdirSync(dirname(this.filePath), { recursive: true });
+  }
+
+  record(entry) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n';
+    appendFile(this.filePath, line, (err) => {
+      if (err) {
+        logger.error('Failed to write admin audit log', { file: this.filePath, error: err });
+      }
+    });
+  }
+
+  // The most recent entries, newest last
+  read({ limit = 100 } = {}) {
+    if (!existsSync(this.filePath)) {
+      return [];
+    }
+    const entries = [];
+    for (const line of readFileSync(this.filePath, 'utf-8').split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch (err) {
+        // Skip partially written/corrupt lines
+      }
+    }
+    return entries.slice(-limit);
+  }
+}
+
+// Where an in-flight request is: waiting for auth/body, in the queue, waiting for the
+// first token, or streaming
+function requestState(req) {
+  if (req.firstChunkTime) {
+    return 'streaming';
+  }
+  if (req.proxyStartTime) {
+    return 'processing';
+  }
+  return req.abortController ? 'queued' : 'pending';
+}
+
+// Summary of an in-flight request for GET /admin/requests
+export function describeRequest(req, now = Date.now()) {
+  return {
+    id: req.id,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    state: requestState(req),
+    keyId: req.apiKey?.id || null,
+    keyName: req.apiKey?.name || null,
+    clientIp: req.clientIp,
+    model: req.body?.model || null,
+    stream: req.body?.stream === true,
+    upstream: req.upstream?.name || null,
+    startedAt: new Date(req.startTime).toISOString(),
+    elapsedMs: now - req.startTime,
+    queueWaitMs: req.queueWaitMs || 0
+  };
+}
+
+// Errors use the OpenAI error shape, like the rest of the proxy (see lib/errors.js)
+function sendError(res, status, message, code, param = null) {
+  return res.status(status).json(proxyErrorBody(status, message, { code, param }));
+}
+
+function requireObjectBody(req, res) {
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    sendError(res, 400, 'Request body must be a JSON object', 'invalid_type');
+    return false;
+  }
+  return true;
+}
+
+export function createAdminRouter({
+  keyStore,
+  upstreamPool,
+  requestQueue,
+  modelInventory,
+  modelAliases,
+  rateLimiter,
+  usageLog,
+  auditLog,
+  activeRequests,
+  recentRequests,
+  recentErrors,
+  upstreamStatus
+}) {
+  const router = express.Router();
+  router.use(bufferJsonBody({ maxBytes: 1024 * 1024 }));
+
+  // Write an admin change to the audit log (and the regular log)
+  const audit = (req, action, target, details = {}) => {
+    req.log.info('Admin change', { action, target, actor: req.admin.name });
+    auditLog.record({
+      actor: req.admin,
+      clientIp: req.clientIp,
+      requestId: req.id,
+      action,
+      target,
+      ...details
+    });
+  };
+
+  // Key store changes: pick up edits from generate-key first, save right after
+  const withKeyStore = (handler) => (req, res, next) => {
+    try {
+      keyStore.reloadIfChanged();
+    } catch (err) {
+      return next(err);
+    }
+    handler(req, res, next);
+  };
+
+  // API keys
+
+  router.get('/keys', withKeyStore((req, res) => {
+    res.json({ keys: keyStore.list() });
+  }));
+
+  router.post('/keys', withKeyStore((req, res, next) => {
+    if (!requireObjectBody(req, res)) {
+      return;
+    }
+    const { name, owner, expiresAt, scopes, routes, models, allowedIps, limits, priority, contentPolicy } = req.body;
+    let created;
+    try {
+      created = keyStore.create({ name, owner, expiresAt, scopes, routes, models, allowedIps, limits, priority, contentPolicy });
+    } catch (err) {
+      return sendError(res, 400, err.message, 'invalid_value');
+    }
+    try {
+      keyStore.save();
+    } catch (err) {
+      keyStore.load(); // drop the unsaved key
+      return next(err);
+    }
+    const record = toPublicRecord(created.record);
+    audit(req, 'key.create', record.id, { record });
+    res.status(201).json({ key: created.key, record });
+  }));
+
+  router.patch('/keys/:id', withKeyStore((req, res, next) => {
+    if (!requireObjectBody(req, res)) {
+      return;
+    }
+    let record;
+    try {
+      record = keyStore.update(req.params.id, req.body);
+    } catch (err) {
+      return sendError(res, 400, err.message, 'invalid_value');
+    }
+    if (!record) {
+      return sendError(res, 404, `No API key with id or name "${req.params.id}"`, 'api_key_not_found');
+    }
+    try {
+      keyStore.save();
+    } catch (err) {
+      keyStore.load();
+      return next(err);
+    }
+    audit(req, 'key.update', record.id, { changes: req.body });
+    res.json({ record: toPublicRecord(record) });
+  }));
+
+  router.delete('/keys/:id', withKeyStore((req, res, next) => {
+    const record = keyStore.revoke(req.params.id);
+    if (!record) {
+      return sendError(res, 404, `No API key with id or name "${req.params.id}"`, 'api_key_not_found');
+    }
+    try {
+      keyStore.save();
+    } catch (err) {
+      keyStore.load();
+      return next(err);
+    }
+    audit(req, 'key.revoke', record.id, { name: record.name });
+    res.json({ record: toPublicRecord(record) });
+  }));
+
+  // Upstreams
+
+  const findUpstream = (req, res) => {
+    const upstream = upstreamPool.find(req.params.name);
+    if (!upstream) {
+      sendError(res, 404, `No upstream named "${req.params.name}"`, 'upstream_not_found');
+    }
+    return upstream;
+  };
+
+  const statusOf = (upstream) => upstreamStatus().find(status => status.name === upstream.name);
+
+  router.get('/upstreams', (req, res) => {
+    res.json({ loadBalancing: upstreamPool.strategy, upstreams: upstreamStatus() });
+  });
+
+  router.post('/upstreams', (req, res) => {
+    if (!requireObjectBody(req, res)) {
+      return;
+    }
+    const { name, url, weight, maxConcurrency } = req.body;
+    let upstream;
+    try {
+      upstream = upstreamPool.add({ name, url, weight, maxConcurrency });
+    } catch (err) {
+      return sendError(res, 400, err.message, 'invalid_value');
+    }
+    audit(req, 'upstream.add', upstream.name, { url: upstream.url, weight: upstream.weight, maxConcurrency: upstream.maxConcurrency ?? null });
+    // Learn its models before it gets model-routed traffic; queued requests may use it right away
+    modelInventory.refreshUpstream(upstream);
+    requestQueue.dispatch();
+    res.status(201).json({ upstream: statusOf(upstream) });
+  });
+
+  router.patch('/upstreams/:name', (req, res) => {
+    if (!requireObjectBody(req, res)) {
+      return;
+    }
+    const upstream = findUpstream(req, res);
+    if (!upstream) {
+      return;
+    }
+    const unknown = Object.keys(req.body).filter(field => !['weight', 'maxConcurrency'].includes(field));
+    if (unknown.length > 0) {
+      return sendError(res, 400, `Cannot change ${unknown.map(field => `"${field}"`).join(', ')} (editable: weight, maxConcurrency)`, 'unknown_parameter');
+    }
+    const { weight = upstream.weight, maxConcurrency = upstream.maxConcurrency } = req.body;
+    try {
+      upstreamPool.update(upstream, { weight, maxConcurrency });
+    } catch (err) {
+      return sendError(res, 400, err.message, 'invalid_value');
+    }
+    audit(req, 'upstream.update', upstream.name, { changes: req.body });
+    requestQueue.dispatch();
+    res.json({ upstream: statusOf(upstream) });
+  });
+
+  router.post('/upstreams/:name/drain', (req, res) => {
+    const upstream = findUpstream(req, res);
+    if (!upstream) {
+      return;
+    }
+    upstream.draining = true;
+    audit(req, 'upstream.drain', upstream.name, { activeConnections: upstream.activeConnections });
+    res.json({ upstream: statusOf(upstream) });
+  });
+
+  router.post('/upstreams/:name/resume', (req, res) => {
+    const upstream = findUpstream(req, res);
+    if (!upstream) {
+      return;
+    }
+    upstream.draining = false;
+    audit(req, 'upstream.resume', upstream.name);
+    requestQueue.dispatch();
+    res.json({ upstream: statusOf(upstream) });
+  });
+
+  router.delete('/upstreams/:name', (req, res) => {
+    let upstream;
+    try {
+      upstream = upstreamPool.remove(req.params.name);
+    } catch (err) {
+      return sendError(res, 409, err.message, 'last_upstream');
+    }
+    if (!upstream) {
+      return sendError(res, 404, `No upstream named "${req.params.name}"`, 'upstream_not_found');
+    }
+    modelInventory.forget(upstream);
+    audit(req, 'upstream.remove', upstream.name, { url: upstream.url, activeConnections: upstream.activeConnections });
+    res.json({ removed: upstream.name, activeConnections: upstream.activeConnections });
+  });
+
+  // Rate limits (per-key overrides are changed with PATCH /admin/keys/:id { limits })
+
+  router.get('/limits', withKeyStore((req, res) => {
+    res.json({
+      defaults: rateLimiter.defaults,
+      keys: keyStore.keys
+        .filter(record => !record.revoked && Object.keys(record.limits || {}).length > 0)
+        .map(record => ({ id: record.id, name: record.name, limits: record.limits, effective: rateLimiter.limitsFor(record) }))
+    });
+  }));
+
+  router.patch('/limits', (req, res) => {
+    if (!requireObjectBody(req, res)) {
+      return;
+    }
+    try {
+      validateLimits(req.body);
+    } catch (err) {
+      return sendError(res, 400, err.message, 'invalid_value');
+    }
+    const previous = { ...rateLimiter.defaults };
+    for (const [name, value] of Object.entries(req.body)) {
+      rateLimiter.defaults[name] = value ?? 0;
+    }
+    audit(req, 'limits.update', 'defaults', { previous, changes: req.body });
+    res.json({ defaults: rateLimiter.defaults });
+  });
+
+  // Model aliases
+
+  router.get('/aliases', (req, res) => {
+    res.json({ aliases: modelAliases.toJSON() });
+  });
+
+  router.put('/aliases', (req, res) => {
+    if (!requireObjectBody(req, res)) {
+      return;
+    }
+    const previous = modelAliases.toJSON();
+    try {
+      modelAliases.replace(req.body);
+    } catch (err) {
+      return sendError(res, 400, err.message, 'invalid_value');
+    }
+    audit(req, 'aliases.replace', 'aliases', { previous, aliases: modelAliases.toJSON() });
+    res.json({ aliases: modelAliases.toJSON() });
+  });
+
+  router.put('/aliases/:alias', (req, res) => {
+    if (!requireObjectBody(req, res)) {
+      return;
+    }
+    const previous = modelAliases.toJSON()[req.params.alias] ?? null;
+    try {
+      modelAliases.set(req.params.alias, req.body.model);
+    } catch (err) {
+      return sendError(res, 400, err.message, 'invalid_value');
+    }
+    audit(req, 'alias.set', req.params.alias, { previous, model: req.body.model });
+    res.json({ aliases: modelAliases.toJSON() });
+  });
+
+  router.delete('/aliases/:alias', (req, res) => {
+    const previous = modelAliases.toJSON()[req.params.alias];
+    if (!modelAliases.delete(req.params.alias)) {
+      return sendError(res, 404, `No model alias "${req.params.alias}"`, 'alias_not_found');
+    }
+    audit(req, 'alias.delete', req.params.alias, { previous });
+    res.json({ aliases: modelAliases.toJSON() });
+  });
+
+  // Active requests, usage and audit log
+
+  router.get('/requests', (req, res) => {
+    const now = Date.now();
+    const requests = [...activeRequests]
+      .map(active => describeRequest(active, now))
+      .sort((a, b) => b.elapsedMs - a.elapsedMs);
+    res.json({ count: requests.length, queue: requestQueue.status(), requests });
+  });
+
+  // Token usage report
+  // Optional query parameters: from, to (ISO dates, to is exclusive)
+  router.get('/usage', (req, res) => {
+    const { from, to } = req.query;
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(new Date(value).getTime())) {
+        return sendError(res, 400, `Invalid "${name}" date: ${value}`, 'invalid_value', name);
+      }
+    }
+    res.json({
+      from: from || null,
+      to: to || null,
+      ...summarizeUsage(usageLog.read({ from, to }))
+    });
+  });
+
+  router.get('/audit', (req, res) => {
+    const limit = parseInt(req.query.limit || '100', 10);
+    if (!Number.isInteger(limit) || limit <= 0) {
+      return sendError(res, 400, `Invalid "limit": ${req.query.limit}`, 'invalid_value', 'limit');
+    }
+    res.json({ entries: auditLog.read({ limit }) });
+  });
+
+  // Web dashboard data: health, models, recent requests and errors, per-key usage by day
+  router.get('/dashboard', (req, res) => {
+    const upstreams = upstreamStatus();
+    const models = new Map();
+    for (const upstream of upstreams) {
+      for (const id of upstream.models || []) {
+        const model = models.get(id) || { id, upstreams: [], loadedOn: [] };
+        model.upstreams.push(upstream.name);
+        if (upstream.loadedModels.includes(id)) {
+          model.loadedOn.push(upstream.name);
+        }
+        models.set(id, model);
+      }
+    }
+
+    const from = dayKey(new Date(Date.now() - (DASHBOARD_USAGE_DAYS - 1) * 24 * 60 * 60 * 1000));
+    const usage = usageLog.read({ from });
+    res.json({
+      generatedAt: new Date().toISOString(),
+      status: upstreamPool.hasAvailable() ? 'ok' : 'degraded',
+      loadBalancing: upstreamPool.strategy,
+      inFlight: activeRequests.size,
+      queue: requestQueue.status(),
+      upstreams,
+      models: [...models.values()],
+      aliases: modelAliases.toJSON(),
+      recentRequests: recentRequests.list(100),
+      errors: recentErrors.list(50),
+      usage: {
+        from,
+        byDay: usageByDay(usage),
+        byKey: summarizeUsage(usage).byKey
+      }
+    });
+  });
+
+  // Unknown admin endpoints must not fall through to the LM Studio proxy
+  router.use((req, res) => {
+    sendError(res, 404, `Unknown admin endpoint ${req.method} ${req.originalUrl.split('?')[0]}`, 'unknown_endpoint');
+  });
+
+  return router;
+}
@@ -0,0 +1,104 @@
+import { MODEL_ROUTES } from './model-inventory.js';
+
+// Model aliases
+// MODEL_ALIASES maps the model names clients send to models LM Studio actually has:
+//
+//   MODEL_ALIASES=gpt-4o-mini=llama-3.1-8b-instruct,local-model=@loaded,default=@loaded
+//
+// The special target "@loaded" resolves to a model currently loaded on an upstream.
+// The alias "default" is also used for requests that don't send a model at all.
+// Responses are rewritten back so clients see the model name they asked for.
+// Aliases can also be changed at runtime through the admin API.
+
+export const LOADED_MODEL = '@loaded';
+export const DEFAULT_ALIAS = 'default';
+
+// Parse "alias=target,..." into a Map
+export function parseAliases(value) {
+  const aliases = new Map();
+  for (const entry of value.split(',').map(item => item.trim()).filter(Boolean)) {
+    const equals = entry.indexOf('=');
+    if (equals <= 0 || equals === entry.length - 1) {
+      throw new Error(`Invalid model alias "${entry}": expected alias=model`);
+    }
+    aliases.set(entry.substring(0, equals).trim(), entry.substring(equals + 1).trim());
+  }
+  return aliases;
+}
+
+export class ModelAliases {
+  constructor(aliases, inventory) {
+    this.aliases = aliases;
+    this.inventory = inventory;
+  }
+
+  get size() {
+    return this.aliases.size;
+  }
+
+  set(alias, target) {
+    if (!alias || typeof alias !== 'string' || !target || typeof target !== 'string') {
+      throw new Error('A model alias needs a non-empty alias and target model');
+    }
+    this.aliases.set(alias, target);
+  }
+
+  delete(alias) {
+    return this.aliases.delete(alias);
+  }
+
+  // Replace every alias, e.g. from { alias: target } (nothing changes if one is invalid)
+  replace(entries) {
+    const aliases = new Map();
+    for (const [alias, target] of Object.entries(entries)) {
+      if (!alias || typeof target !== 'string' || !target) {
+        throw new Error(`Invalid model alias "${alias}": expected a non-empty target model`);
+      }
+      aliases.set(alias, target);
+    }
+    this.aliases = aliases;
+  }
+
+  // Resolve a requested model name to a real model (null if it isn't an alias)
+  resolve(model) {
+    const target = this.aliases.get(model || DEFAULT_ALIAS);
+    if (!target) {
+      return null;
+    }
+    return target === LOADED_MODEL ? this.inventory.anyLoadedModel() : target;
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.aliases);
+  }
+}
+
+// Middleware: rewrite the `model` field of buffered JSON bodies, and rewrite it back in
+// the response. Must run after bufferJsonBody and before upstream selection.
+export const applyModelAliases = (aliases) => (req, res, next) => {
+  if (aliases.size === 0 || !req.body || typeof req.body !== 'object' || !MODEL_ROUTES.includes(req.path)) {
+    return next();
+  }
+
+  const requested = req.body.model;
+  const resolved = aliases.resolve(requested);
+  if (!resolved || resolved === requested) {
+    return next();
+  }
+
+  req.log.debug('Model alias', { requested: requested || null, resolved });
+  req.body.model = resolved;
+  req.requestedModel = requested;
+
+  // Show the client the name it asked for (clients that sent no model get the real one)
+  if (requested) {
+    req.responseTransforms = req.responseTransforms || [];
+    req.responseTransforms.push((data) => {
+      if (data && typeof data === 'object' && data.model === resolved) {
+        data.model = requested;
+      }
+      return data;
+    });
+  }
+  next();
+};
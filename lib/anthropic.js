@@ -0,0 +1,382 @@
+import { randomBytes } from 'crypto';
+import { translateRequest, translateErrors, errorMessage } from './api-adapter.js';
+
+// Anthropic Messages API (/v1/messages) on top of LM Studio's chat completions
+// Requests are translated to /v1/chat/completions (see lib/api-adapter.js):
+//
+//   - `system` (a string or text blocks) becomes a system message
+//   - text and image content blocks become chat content parts
+//   - assistant `tool_use` blocks become tool_calls, user `tool_result` blocks tool messages
+//   - `tools`, `tool_choice`, `stop_sequences`, `temperature`, `top_p`, `top_k` and
+//     `max_tokens` map onto their chat completion counterparts
+//
+// Responses come back as a `message` with text and tool_use blocks, and streams as
+// message_start / content_block_* / message_delta / message_stop events. Errors use
+// Anthropic's { type: "error", error: { type, message } } shape.
+
+export const MESSAGES_PATH = '/v1/messages';
+
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  content_filter: 'refusal'
+};
+
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  503: 'overloaded_error',
+  529: 'overloaded_error'
+};
+
+export class MessagesRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MessagesRequestError';
+  }
+}
+
+function messageId() {
+  return `msg_${randomBytes(12).toString('hex')}`;
+}
+
+// Text of a string or a list of content blocks (other block types are left out)
+function blocksText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return '';
+  }
+  return content.filter(block => block?.type === 'text').map(block => block.text).join('\n');
+}
+
+function imagePart(block) {
+  const source = block.source || {};
+  if (source.type === 'url') {
+    return { type: 'image_url', image_url: { url: source.url } };
+  }
+  if (source.type === 'base64') {
+    return { type: 'image_url', image_url: { url: `data:${source.media_type};base64,${source.data}` } };
+  }
+  throw new MessagesRequestError(`Unsupported image source type "${source.type}"`);
+}
+
+// Chat content from text/image parts - a plain string when there are no images
+function chatContent(parts) {
+  if (parts.every(part => part.type === 'text')) {
+    return parts.map(part => part.text).join('\n');
+  }
+  return parts;
+}
+
+// One Anthropic message -> one or more chat messages
+function toChatMessages(message, index) {
+  if (!message || !['user', 'assistant'].includes(message.role)) {
+    throw new MessagesRequestError(`messages.${index}.role must be "user" or "assistant"`);
+  }
+  if (typeof message.content === 'string') {
+    return [{ role: message.role, content: message.content }];
+  }
+  if (!Array.isArray(message.content)) {
+    throw new MessagesRequestError(`messages.${index}.content must be a string or an array of content blocks`);
+  }
+
+  const parts = [];
+  const toolCalls = [];
+  const toolResults = [];
+  for (const block of message.content) {
+    switch (block?.type) {
+      case 'text':
+        parts.push({ type: 'text', text: block.text });
+        break;
+      case 'image':
+        parts.push(imagePart(block));
+        break;
+      case 'tool_use':
+        toolCalls.push({
+          id: block.id,
+          type: 'function',
+          function: { name: block.name, arguments: JSON.stringify(block.input ?? {}) }
+        });
+        break;
+      case 'tool_result': {
+        const text = blocksText(block.content);
+        toolResults.push({
+          role: 'tool',
+          tool_call_id: block.tool_use_id,
+          content: block.is_error ? `Error: ${text}` : text
+        });
+        break;
+      }
+      case 'thinking':
+      case 'redacted_thinking':
+        break; // The model's earlier reasoning isn't sent back
+      default:
+        throw new MessagesRequestError(`messages.${index}.content has an unsupported block type "${block?.type}"`);
+    }
+  }
+
+  if (message.role === 'assistant') {
+    const assistant = { role: 'assistant', content: parts.length > 0 ? chatContent(parts) : null };
+    if (toolCalls.length > 0) {
+      assistant.tool_calls = toolCalls;
+    }
+    return [assistant];
+  }
+  // Tool results answer the previous assistant turn, so they go before the user's own content
+  return parts.length > 0 ? [...toolResults, { role: 'user', content: chatContent(parts) }] : toolResults;
+}
+
+function toChatToolChoice(choice) {
+  switch (choice?.type) {
+    case 'auto':
+      return 'auto';
+    case 'any':
+      return 'required';
+    case 'none':
+      return 'none';
+    case 'tool':
+      return { type: 'function', function: { name: choice.name } };
+    default:
+      throw new MessagesRequestError(`Unsupported tool_choice type "${choice?.type}"`);
+  }
+}
+
+// Translate a /v1/messages body into a /v1/chat/completions body. Throws MessagesRequestError.
+export function toChatRequest(body) {
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    throw new MessagesRequestError('messages must be a non-empty array');
+  }
+
+  const messages = [];
+  const system = blocksText(body.system);
+  if (system) {
+    messages.push({ role: 'system', content: system });
+  }
+  body.messages.forEach((message, index) => messages.push(...toChatMessages(message, index)));
+
+  const chat = { model: body.model, messages };
+  if (body.max_tokens !== undefined) {
+    chat.max_tokens = body.max_tokens;
+  }
+  for (const name of ['temperature', 'top_p', 'top_k']) {
+    if (body[name] !== undefined) {
+      chat[name] = body[name];
+    }
+  }
+  if (Array.isArray(body.stop_sequences) && body.stop_sequences.length > 0) {
+    chat.stop = body.stop_sequences;
+  }
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    chat.tools = body.tools.map(tool => ({
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.input_schema || { type: 'object' } }
+    }));
+  }
+  if (body.tool_choice) {
+    chat.tool_choice = toChatToolChoice(body.tool_choice);
+    if (body.tool_choice.disable_parallel_tool_use) {
+      chat.parallel_tool_calls = false;
+    }
+  }
+  if (body.metadata?.user_id) {
+    chat.user = body.metadata.user_id;
+  }
+  if (body.stream === true) {
+    chat.stream = true;
+    chat.stream_options = { include_usage: true };
+  }
+  return chat;
+}
+
+function parseToolInput(text) {
+  try {
+    const input = JSON.parse(text || '{}');
+    return input && typeof input === 'object' ? input : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function toUsage(usage) {
+  return {
+    input_tokens: usage?.prompt_tokens || 0,
+    output_tokens: usage?.completion_tokens || 0
+  };
+}
+
+// chat.completion -> message
+export function toMessage(completion) {
+  const choice = completion.choices?.[0] || {};
+  const content = [];
+  if (choice.message?.content) {
+    content.push({ type: 'text', text: choice.message.content });
+  }
+  for (const call of choice.message?.tool_calls || []) {
+    content.push({
+      type: 'tool_use',
+      id: call.id || `toolu_${randomBytes(12).toString('hex')}`,
+      name: call.function?.name,
+      input: parseToolInput(call.function?.arguments)
+    });
+  }
+  return {
+    id: messageId(),
+    type: 'message',
+    role: 'assistant',
+    model: completion.model,
+    content,
+    stop_reason: STOP_REASONS[choice.finish_reason] || 'end_turn',
+    stop_sequence: null,
+    usage: toUsage(completion.usage)
+  };
+}
+
+function event(type, data) {
+  return `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+}
+
+// Translates chat.completion.chunk events into Anthropic stream events
+function createMessageStream() {
+  let started = false;
+  let block = null; // { index, type, toolIndex }
+  let blocks = 0;
+  let stopReason = null;
+  let usage = null;
+
+  const start = (chunk) => {
+    started = true;
+    return event('message_start', {
+      message: {
+        id: messageId(),
+        type: 'message',
+        role: 'assistant',
+        model: chunk.model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 0 }
+      }
+    });
+  };
+  const closeBlock = () => {
+    if (!block) {
+      return '';
+    }
+    const text = event('content_block_stop', { index: block.index });
+    block = null;
+    return text;
+  };
+  const openBlock = (type, contentBlock, toolIndex = null) => {
+    const text = closeBlock();
+    block = { index: blocks++, type, toolIndex };
+    return text + event('content_block_start', { index: block.index, content_block: contentBlock });
+  };
+
+  return {
+    translate(chunk) {
+      let output = started ? '' : start(chunk);
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+      const choice = chunk.choices?.[0];
+      if (!choice) {
+        return output;
+      }
+      const delta = choice.delta || {};
+      if (delta.content) {
+        if (block?.type !== 'text') {
+          output += openBlock('text', { type: 'text', text: '' });
+        }
+        output += event('content_block_delta', { index: block.index, delta: { type: 'text_delta', text: delta.content } });
+      }
+      for (const call of delta.tool_calls || []) {
+        const toolIndex = call.index ?? 0;
+        if (block?.type !== 'tool_use' || block.toolIndex !== toolIndex) {
+          output += openBlock('tool_use', {
+            type: 'tool_use',
+            id: call.id || `toolu_${randomBytes(12).toString('hex')}`,
+            name: call.function?.name || '',
+            input: {}
+          }, toolIndex);
+        }
+        if (call.function?.arguments) {
+          output += event('content_block_delta', { index: block.index, delta: { type: 'input_json_delta', partial_json: call.function.arguments } });
+        }
+      }
+      if (choice.finish_reason) {
+        stopReason = STOP_REASONS[choice.finish_reason] || 'end_turn';
+      }
+      return output;
+    },
+
+    finish() {
+      if (!started) {
+        return '';
+      }
+      return closeBlock() +
+        event('message_delta', { delta: { stop_reason: stopReason || 'end_turn', stop_sequence: null }, usage: toUsage(usage) }) +
+        event('message_stop', {});
+    }
+  };
+}
+
+export function toAnthropicError(status, body) {
+  if (body?.type === 'error' && body.error) {
+    return body;
+  }
+  return {
+    type: 'error',
+    error: {
+      type: ERROR_TYPES[status] || 'api_error',
+      message: errorMessage(body)
+    }
+  };
+}
+
+export const ANTHROPIC_FORMAT = {
+  toResponse: toMessage,
+  createStream: createMessageStream,
+  streamContentType: 'text/event-stream',
+  toError: toAnthropicError,
+  streamError: error => event('error', { error: error.error })
+};
+
+// Middleware: send errors on /v1/messages in Anthropic's format from the start, so Anthropic
+// SDKs can read authentication and permission errors too. Must run before authentication.
+export const anthropicErrors = () => (req, res, next) => {
+  if (req.path === MESSAGES_PATH) {
+    translateErrors(res, ANTHROPIC_FORMAT);
+  }
+  next();
+};
+
+// Middleware: accept POST /v1/messages and hand it on as a chat completion.
+// Must run after bufferJsonBody and before model aliases.
+export const anthropicMessages = () => (req, res, next) => {
+  if (req.method !== 'POST' || req.path !== MESSAGES_PATH) {
+    return next();
+  }
+  if (!req.body || typeof req.body !== 'object') {
+    return res.status(400).json(toAnthropicError(400, { message: 'The request body must be a JSON object' }));
+  }
+
+  let body;
+  try {
+    body = toChatRequest(req.body);
+  } catch (err) {
+    if (err instanceof MessagesRequestError) {
+      return res.status(400).json(toAnthropicError(400, { message: err.message }));
+    }
+    throw err;
+  }
+  translateRequest(req, res, { body, format: ANTHROPIC_FORMAT });
+  next();
+};
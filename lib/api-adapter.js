@@ -0,0 +1,137 @@
+import { SseDataTransform, SseTranslateTransform, applyTransforms } from './response-transform.js';
+import { parseSseEvents, aggregateCompletion } from './stream-aggregate.js';
+
+// API compatibility layers
+// Some clients speak other APIs than OpenAI's (e.g. Anthropic's /v1/messages, Ollama's
+// /api/chat). Their requests are translated into an LM Studio /v1/chat/completions (or
+// /v1/embeddings) request early on, so model aliases, routing, the queue, keep-alive and
+// the cache all see a normal OpenAI request. req.responseAdapter then writes LM Studio's
+// answer back in the client's format.
+//
+// A format provides:
+//   toResponse(completion)  chat.completion (or embedding list) -> the client's response body
+//   createStream()          per-response translator: { translate(chunk), finish() }, each
+//                           returning the text to send for one chat.completion.chunk / at the end
+//   streamContentType       content type of the translated stream
+//   keepAliveMode           heartbeat mode for streams (see lib/keep-alive.js), default "sse"
+//   toError(status, body)   any error body (OpenAI or the proxy's own) -> the client's error body
+//   streamError(error)      text that ends a stream with an error body from toError()
+
+function readBody(source, callback) {
+  const chunks = [];
+  source.on('data', (chunk) => chunks.push(chunk));
+  source.on('end', () => callback(Buffer.concat(chunks).toString('utf-8')));
+}
+
+// Error body LM Studio (or Cloudflare) sent, as an object for toError()
+function parseErrorBody(body, statusCode) {
+  try {
+    const data = JSON.parse(body);
+    if (data && typeof data === 'object') {
+      return data;
+    }
+  } catch (err) {
+    // Not JSON - use the text as the message
+  }
+  return { error: { message: body || `LM Studio returned HTTP ${statusCode}` } };
+}
+
+// The message of an error body in any of the shapes the proxy deals with
+export function errorMessage(body) {
+  if (typeof body?.error === 'string') {
+    return body.message ? `${body.error}: ${body.message}` : body.error;
+  }
+  return body?.error?.message || body?.message || 'Unknown error';
+}
+
+export function createResponseAdapter(req, format) {
+  const adapter = {
+    format,
+
+    // Write an LM Studio response (or a cached one) to the client in its format
+    send(source, res, statusCode, headers, transforms = []) {
+      const contentType = headers['content-type'] || '';
+      const isEventStream = contentType.includes('text/event-stream');
+
+      if (statusCode >= 400 || !(isEventStream || contentType.includes('application/json'))) {
+        req.keepAlive?.stop();
+        return readBody(source, (body) => adapter.sendError(res, statusCode >= 400 ? statusCode : 502, parseErrorBody(body, statusCode)));
+      }
+
+      if (isEventStream && !req.keepAlive?.aggregate) {
+        // Heartbeats stop at the first chunk so they never land inside an event
+        source.once('data', () => req.keepAlive?.stop());
+        source.once('end', () => req.keepAlive?.stop());
+        if (!res.headersSent) {
+          res.writeHead(statusCode, {
+            'content-type': format.streamContentType,
+            'cache-control': 'no-cache',
+            'x-accel-buffering': 'no'
+          });
+        }
+        source
+          .pipe(new SseDataTransform(data => applyTransforms(transforms, data)))
+          .pipe(new SseTranslateTransform(format.createStream()))
+          .pipe(res);
+        return;
+      }
+
+      // Non-streaming - streamed internally for keep-alive, or a plain JSON completion
+      readBody(source, (body) => {
+        req.keepAlive?.stop();
+        let completion;
+        try {
+          completion = isEventStream ? aggregateCompletion(parseSseEvents(body)) : JSON.parse(body);
+        } catch (err) {
+          return adapter.sendError(res, 502, { error: { message: 'LM Studio returned a response that is not valid JSON' } });
+        }
+        const json = JSON.stringify(format.toResponse(applyTransforms(transforms, completion)));
+        if (!res.headersSent) {
+          res.writeHead(statusCode, { 'content-type': 'application/json; charset=utf-8', 'content-length': Buffer.byteLength(json) });
+        }
+        res.end(json);
+      });
+    },
+
+    sendError(res, status, body) {
+      if (!res.headersSent) {
+        return res.status(status).json(body);
+      }
+      adapter.endWithError(res, status, body);
+    },
+
+    // Finish a response that has already started (heartbeats or a stream) with an error
+    endWithError(res, status, body) {
+      if (res.writableEnded) {
+        return;
+      }
+      const error = format.toError(status, body);
+      const contentType = String(res.getHeader('content-type') || '');
+      res.end(contentType.includes('application/json') ? JSON.stringify(error) : format.streamError(error));
+    }
+  };
+  return adapter;
+}
+
+// Turn the current request into an LM Studio request to path and answer it in format.
+// Error responses sent with res.json() from here on are translated too.
+export function translateRequest(req, res, { body, format, path = '/v1/chat/completions' }) {
+  req.clientPath = req.baseUrl + req.path;
+  req.body = body;
+  req.url = `${path}${req.url.includes('?') ? req.url.substring(req.url.indexOf('?')) : ''}`;
+  req.originalUrl = req.url; // http-proxy-middleware forwards originalUrl
+  req.headers['content-type'] = 'application/json';
+  req.responseAdapter = createResponseAdapter(req, format);
+  translateErrors(res, format);
+}
+
+// Send error responses given to res.json() in format. Also used before a request is
+// translated, so authentication errors reach the client in its own API's format.
+export function translateErrors(res, format) {
+  if (res.errorFormat) {
+    return;
+  }
+  res.errorFormat = format;
+  const json = res.json.bind(res);
+  res.json = (data) => json(res.statusCode >= 400 ? format.toError(res.statusCode, data) : data);
+}
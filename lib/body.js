@@ -0,0 +1,72 @@
+import { proxyErrorBody } from './errors.js';
+
+// JSON request body buffering
+// express.json() can't be used here because it consumes the request stream and
+// http-proxy-middleware would forward an empty body. Instead we buffer JSON bodies
+// ourselves, keep the raw bytes, and write the (possibly modified) body back onto
+// the proxied request in onProxyReq.
+
+const DEFAULT_MAX_BODY_BYTES = 50 * 1024 * 1024; // 50MB - large prompts and base64 images
+
+export function isJsonRequest(req) {
+  const contentType = req.headers['content-type'] || '';
+  return contentType.includes('application/json');
+}
+
+// Middleware: buffer JSON request bodies into req.rawBody (Buffer) and req.body (parsed)
+// Bodies that fail to parse are still forwarded unchanged via req.rawBody.
+// options.isJson(req) decides which requests have JSON bodies (default: by content type).
+export const bufferJsonBody = (options = {}) => {
+  const maxBytes = options.maxBytes || DEFAULT_MAX_BODY_BYTES;
+  const isJson = options.isJson || isJsonRequest;
+
+  return (req, res, next) => {
+    if (!isJson(req) || req.method === 'GET' || req.method === 'HEAD') {
+      return next();
+    }
+
+    const chunks = [];
+    let size = 0;
+    let aborted = false;
+
+    req.on('data', (chunk) => {
+      if (aborted) {
+        return;
+      }
+      size += chunk.length;
+      if (size > maxBytes) {
+        aborted = true;
+        res.status(413).json(proxyErrorBody(413, `Request body exceeds ${maxBytes} bytes`, { code: 'request_too_large' }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (aborted) {
+        return;
+      }
+      req.rawBody = Buffer.concat(chunks);
+      try {
+        req.body = req.rawBody.length > 0 ? JSON.parse(req.rawBody.toString('utf-8')) : undefined;
+      } catch (err) {
+        // Leave req.body unset - LM Studio will report the parse error to the client
+        req.body = undefined;
+      }
+      next();
+    });
+
+    req.on('error', next);
+  };
+};
+
+// Write a buffered body onto the outgoing proxy request
+// Call from onProxyReq. Re-serializes req.body so middleware can modify it.
+export function writeBufferedBody(proxyReq, req) {
+  if (req.rawBody === undefined) {
+    return;
+  }
+  const body = req.body !== undefined ? Buffer.from(JSON.stringify(req.body), 'utf-8') : req.rawBody;
+  proxyReq.setHeader('Content-Length', body.length);
+  proxyReq.write(body);
+}
@@ -0,0 +1,326 @@
+import { createHash, randomBytes } from 'crypto';
+import { mkdirSync, readdirSync, statSync, unlink } from 'fs';
+import { readFile, writeFile, rename } from 'fs/promises';
+import { join, resolve } from 'path';
+import { Readable } from 'stream';
+import { logger } from './logger.js';
+import { sendTransformedResponse } from './response-transform.js';
+import { parseSseEvents, aggregateCompletion } from './stream-aggregate.js';
+
+// Response cache (opt-in with RESPONSE_CACHE=memory or disk)
+// Caches LM Studio's answers to requests that always produce the same result: embeddings,
+// and chat/text completions sent with `temperature: 0`. The key is a hash of the route and
+// the request body with its keys sorted, after model aliases are resolved.
+//
+//   - Streaming responses are stored as the SSE body LM Studio sent and replayed as SSE.
+//   - Only complete 200 responses are stored; errors and cut-off streams never are.
+//   - Every cacheable response gets an X-Cache header: HIT, MISS or BYPASS.
+//   - Clients skip the lookup with `Cache-Control: no-cache` (the fresh response is still
+//     stored), or skip the cache entirely with `Cache-Control: no-store`.
+//
+// Entries expire after ttlMs; the least recently used ones are evicted to stay within
+// maxEntries and maxBytes. The disk store keeps one file per entry, so it survives restarts.
+
+export const CACHE_STORES = ['memory', 'disk'];
+export const DEFAULT_CACHE_DIR = 'data/cache';
+export const CACHEABLE_ROUTES = ['/v1/embeddings', '/v1/chat/completions', '/v1/completions'];
+
+// Whether a request's response can come from the cache
+// Embeddings are deterministic; completions only when sampling is turned off.
+export function isCacheable(req) {
+  if (req.method !== 'POST' || !CACHEABLE_ROUTES.includes(req.path) || !req.body || typeof req.body !== 'object') {
+    return false;
+  }
+  return req.path === '/v1/embeddings' || req.body.temperature === 0;
+}
+
+// JSON with object keys sorted, so the same body always gives the same key
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function cacheKey(path, body) {
+  return createHash('sha256').update(`${body.model ?? ''}\n${path}\n${canonicalJson(body)}`).digest('hex');
+}
+
+// Entry stores, also used by the Responses API's conversation store (lib/responses.js)
+export class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  load() {
+    return [];
+  }
+
+  async read(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async write(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  remove(key) {
+    this.entries.delete(key);
+  }
+}
+
+// One JSON file per entry, named after its key (64 hex characters)
+export class DiskStore {
+  constructor(dir) {
+    this.dir = resolve(dir);
+    mkdirSync(this.dir, { recursive: true });
+  }
+
+  pathFor(key) {
+    return join(this.dir, `${key}.json`);
+  }
+
+  // Entries already on disk, oldest first (temp files left by a crash are removed)
+  load() {
+    const names = readdirSync(this.dir);
+    names.filter(name => name.endsWith('.tmp')).forEach(name => unlink(join(this.dir, name), () => {}));
+    return names
+      .filter(name => /^[0-9a-f]{64}\.json$/.test(name))
+      .map((name) => {
+        const stats = statSync(join(this.dir, name));
+        return { key: name.slice(0, -5), size: stats.size, createdAt: stats.mtimeMs };
+      })
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async read(key) {
+    try {
+      return JSON.parse(await readFile(this.pathFor(key), 'utf-8'));
+    } catch (err) {
+      return null; // Removed or partially written - treat as a miss
+    }
+  }
+
+  // Each write gets its own temp file, so concurrent writes of the same key (two misses on
+  // the same prompt) don't interleave - the last rename wins with a complete entry
+  async write(key, entry) {
+    const tmpPath = join(this.dir, `${key}.${process.pid}.${randomBytes(6).toString('hex')}.tmp`);
+    try {
+      await writeFile(tmpPath, JSON.stringify(entry), 'utf-8');
+      await rename(tmpPath, this.pathFor(key));
+    } catch (err) {
+      unlink(tmpPath, () => {});
+      throw err;
+    }
+  }
+
+  remove(key) {
+    unlink(this.pathFor(key), () => {});
+  }
+}
+
+export class ResponseCache {
+  constructor({ store = 'memory', dir = DEFAULT_CACHE_DIR, ttlMs = 3600000, maxEntries = 1000, maxBytes = 100 * 1024 * 1024 } = {}) {
+    if (!CACHE_STORES.includes(store)) {
+      throw new Error(`Invalid RESPONSE_CACHE "${store}": expected one of ${CACHE_STORES.join(', ')}`);
+    }
+    this.storeName = store;
+    this.store = store === 'disk' ? new DiskStore(dir) : new MemoryStore();
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.totals = { hits: 0, misses: 0, bypassed: 0, stored: 0, evicted: 0 };
+
+    // key -> { size, expiresAt }, least recently used first
+    this.index = new Map();
+    this.bytes = 0;
+    for (const { key, size, createdAt } of this.store.load()) {
+      this.track(key, size, createdAt + ttlMs);
+    }
+    this.evict();
+  }
+
+  track(key, size, expiresAt) {
+    this.untrack(key);
+    this.index.set(key, { size, expiresAt });
+    this.bytes += size;
+  }
+
+  untrack(key) {
+    const meta = this.index.get(key);
+    if (meta) {
+      this.index.delete(key);
+      this.bytes -= meta.size;
+    }
+  }
+
+  remove(key) {
+    this.untrack(key);
+    this.store.remove(key);
+  }
+
+  // Drop expired entries, then least recently used ones until within the limits
+  evict() {
+    const now = Date.now();
+    for (const [key, meta] of this.index) {
+      if (this.ttlMs && meta.expiresAt <= now) {
+        this.remove(key);
+      }
+    }
+    for (const key of this.index.keys()) {
+      if (this.index.size <= (this.maxEntries || Infinity) && this.bytes <= (this.maxBytes || Infinity)) {
+        break;
+      }
+      this.remove(key);
+      this.totals.evicted += 1;
+    }
+  }
+
+  // The cached { contentType, body } for key, or null
+  async get(key) {
+    const meta = this.index.get(key);
+    if (!meta) {
+      return null;
+    }
+    if (this.ttlMs && meta.expiresAt <= Date.now()) {
+      this.remove(key);
+      return null;
+    }
+    // Move to the most recently used end
+    this.index.delete(key);
+    this.index.set(key, meta);
+
+    const entry = await this.store.read(key);
+    if (!entry) {
+      this.untrack(key);
+    }
+    return entry;
+  }
+
+  async set(key, entry) {
+    const size = Buffer.byteLength(entry.body);
+    if (this.maxBytes && size > this.maxBytes) {
+      return;
+    }
+    this.track(key, size, Date.now() + this.ttlMs);
+    this.evict();
+    this.totals.stored += 1;
+    await this.store.write(key, entry);
+  }
+
+  // Store an LM Studio response once it has been received in full
+  // Requests turned into streams for keep-alive (aggregate) are stored as the JSON
+  // completion the client actually asked for.
+  capture(key, proxyRes, { aggregate = false } = {}) {
+    const contentType = proxyRes.headers['content-type'] || '';
+    const isEventStream = contentType.includes('text/event-stream');
+    if (proxyRes.statusCode !== 200 || proxyRes.headers['content-encoding'] ||
+        !(isEventStream || contentType.includes('application/json'))) {
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    proxyRes.on('data', (chunk) => {
+      size += chunk.length;
+      if (!this.maxBytes || size <= this.maxBytes) {
+        chunks.push(chunk);
+      }
+    });
+    proxyRes.on('end', () => {
+      if (this.maxBytes && size > this.maxBytes) {
+        return;
+      }
+      let body = Buffer.concat(chunks).toString('utf-8');
+      let entryType = contentType;
+      if (isEventStream) {
+        if (!body.includes('data: [DONE]')) {
+          return; // Incomplete stream
+        }
+        if (aggregate) {
+          body = JSON.stringify(aggregateCompletion(parseSseEvents(body)));
+          entryType = 'application/json; charset=utf-8';
+        }
+      }
+      this.set(key, { contentType: entryType, body })
+        .catch(err => logger.warn('Failed to write response cache entry', { store: this.storeName, error: err }));
+    });
+  }
+
+  status() {
+    return {
+      store: this.storeName,
+      entries: this.index.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries || null,
+      maxBytes: this.maxBytes || null,
+      ttlMs: this.ttlMs || null,
+      ...this.totals
+    };
+  }
+}
+
+// Send a cached response, applying the request's response transforms (e.g. model aliases)
+// and, for translated requests, its response adapter
+function replay(entry, req, res) {
+  const headers = { 'content-type': entry.contentType };
+  if (entry.contentType.includes('text/event-stream')) {
+    headers['cache-control'] = 'no-cache';
+  } else {
+    headers['content-length'] = Buffer.byteLength(entry.body);
+  }
+  const source = Readable.from([Buffer.from(entry.body)]);
+  if (req.responseAdapter) {
+    return req.responseAdapter.send(source, res, 200, headers, req.responseTransforms);
+  }
+  sendTransformedResponse(source, res, 200, headers, req.responseTransforms);
+}
+
+// Middleware: answer cacheable requests from the cache, and mark misses (req.cacheKey) so
+// onProxyRes stores the response. Runs after model aliases are resolved and before keep-alive.
+export const cacheResponses = (cache) => (req, res, next) => {
+  if (!cache || !isCacheable(req)) {
+    return next();
+  }
+
+  const directives = (req.headers['cache-control'] || '').toLowerCase().split(',').map(item => item.trim());
+  const markStatus = (status) => {
+    req.cacheStatus = status;
+    res.setHeader('X-Cache', status);
+  };
+  if (directives.includes('no-store')) {
+    cache.totals.bypassed += 1;
+    markStatus('BYPASS');
+    return next();
+  }
+  req.cacheKey = cacheKey(req.path, req.body);
+  if (directives.includes('no-cache')) {
+    cache.totals.bypassed += 1;
+    markStatus('BYPASS');
+    return next();
+  }
+
+  cache.get(req.cacheKey)
+    .then((entry) => {
+      if (!entry) {
+        cache.totals.misses += 1;
+        markStatus('MISS');
+        return next();
+      }
+      cache.totals.hits += 1;
+      markStatus('HIT');
+      req.cacheKey = null;
+      req.log.debug('Response served from cache', { store: cache.storeName });
+      replay(entry, req, res);
+    })
+    .catch((err) => {
+      req.log.warn('Response cache lookup failed', { store: cache.storeName, error: err });
+      next();
+    });
+};
@@ -0,0 +1,261 @@
+import crypto from 'crypto';
+import { readFileSync, statSync } from 'fs';
+import { resolve } from 'path';
+import { IpList } from './ip-access.js';
+import { PRIORITIES } from './queue.js';
+import { validateContentPolicy } from './content-policy.js';
+
+// Cloudflare Access authentication
+// When the tunnel is behind Cloudflare Access, every request carries a signed JWT in the
+// Cf-Access-Jwt-Assertion header. It is verified against the team domain (issuer), the
+// application audience (AUD tag) and Access' signing keys - fetched from
+// https://<team>.cloudflareaccess.com/cdn-cgi/access/certs, or read from a local JWKS file
+// (CF_ACCESS_JWKS_FILE, e.g. for offline testing with scripts/cf-access-fixture.js).
+//
+// The verified identity (email, or common_name for service tokens, plus groups) is mapped
+// onto a key-like record with the same fields API keys have (scopes, routes, models,
+// allowedIps, limits, priority, contentPolicy) using the identities file (CF_ACCESS_IDENTITIES_FILE):
+//
+// {
+//   "identities": [
+//     { "email": "alice@example.com", "scopes": ["inference", "admin"] },
+//     { "group": "ml-team", "models": ["qwen2.5-coder"], "limits": { "rpm": 30 } },
+//     { "email": "*@example.com", "priority": "low" },
+//     { "serviceToken": "ci-client-id.access", "routes": ["/v1/embeddings"] }
+//   ]
+// }
+//
+// Rules match by email (exact, or "*@domain"), group or service token client id
+// (common_name); the first matching rule wins.
+// Without an identities file, every identity Access lets through gets the default
+// "inference" scope. With one, identities that match no rule are rejected.
+
+export const JWT_HEADER = 'cf-access-jwt-assertion';
+
+const CLOCK_SKEW_SECONDS = 60;
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+const JWKS_REFRESH_MIN_MS = 30 * 1000; // min time between refetches for unknown key ids
+
+const ALGORITHMS = {
+  RS256: 'sha256',
+  RS384: 'sha384',
+  RS512: 'sha512'
+};
+
+export class AccessTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AccessTokenError';
+  }
+}
+
+function decodeSegment(segment, what) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf-8'));
+  } catch (err) {
+    throw new AccessTokenError(`Malformed token ${what}`);
+  }
+}
+
+// "myteam", "myteam.cloudflareaccess.com" or "https://myteam.cloudflareaccess.com"
+export function normalizeTeamDomain(value) {
+  const host = value.replace(/^https?:\/\//, '').replace(/\/+$/, '');
+  return host.includes('.') ? host : `${host}.cloudflareaccess.com`;
+}
+
+export class CloudflareAccess {
+  constructor({ teamDomain, audience, jwksFile = null, jwksUrl = null, identitiesFile = null }) {
+    this.teamDomain = normalizeTeamDomain(teamDomain);
+    this.issuer = `https://${this.teamDomain}`;
+    this.audiences = Array.isArray(audience) ? audience : String(audience).split(',').map(item => item.trim()).filter(Boolean);
+    this.jwksFile = jwksFile ? resolve(jwksFile) : null;
+    this.jwksUrl = jwksUrl || `${this.issuer}/cdn-cgi/access/certs`;
+    this.identitiesFile = identitiesFile ? resolve(identitiesFile) : null;
+    this.keys = new Map();
+    this.keysLoadedAt = 0;
+    this.keysMtime = null;
+    this.identities = null;
+    this.identitiesMtime = null;
+  }
+
+  get jwksSource() {
+    return this.jwksFile || this.jwksUrl;
+  }
+
+  setKeys(jwks) {
+    if (!Array.isArray(jwks?.keys)) {
+      throw new Error(`JWKS from ${this.jwksSource} has no "keys" array`);
+    }
+    this.keys = new Map(jwks.keys
+      .filter(jwk => jwk.kty === 'RSA')
+      .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+    this.keysLoadedAt = Date.now();
+  }
+
+  // Load signing keys from the JWKS file (re-read when it changes) or URL (cached)
+  async loadKeys({ force = false } = {}) {
+    if (this.jwksFile) {
+      const mtime = statSync(this.jwksFile).mtimeMs;
+      if (force || mtime !== this.keysMtime) {
+        this.setKeys(JSON.parse(readFileSync(this.jwksFile, 'utf-8')));
+        this.keysMtime = mtime;
+      }
+      return;
+    }
+
+    const age = Date.now() - this.keysLoadedAt;
+    if (age < JWKS_CACHE_MS && !(force && age >= JWKS_REFRESH_MIN_MS)) {
+      return;
+    }
+    // Concurrent requests share one fetch
+    if (!this.loading) {
+      this.loading = this.fetchKeys().finally(() => {
+        this.loading = null;
+      });
+    }
+    await this.loading;
+  }
+
+  async fetchKeys() {
+    const response = await fetch(this.jwksUrl, { signal: AbortSignal.timeout(5000) });
+    if (!response.ok) {
+      throw new Error(`Fetching ${this.jwksUrl} failed with HTTP ${response.status}`);
+    }
+    this.setKeys(await response.json());
+  }
+
+  async keyFor(kid) {
+    await this.loadKeys();
+    if (!this.keys.has(kid)) {
+      // Access rotates its keys - fetch again before giving up
+      await this.loadKeys({ force: true });
+    }
+    return this.keys.get(kid) || null;
+  }
+
+  // Verify a token and return its claims. Throws AccessTokenError if it isn't valid.
+  async verify(token) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+      throw new AccessTokenError('Malformed token');
+    }
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    const header = decodeSegment(encodedHeader, 'header');
+    const payload = decodeSegment(encodedPayload, 'payload');
+
+    const digest = ALGORITHMS[header.alg];
+    if (!digest) {
+      throw new AccessTokenError(`Unsupported token algorithm "${header.alg}"`);
+    }
+    const key = await this.keyFor(header.kid);
+    if (!key) {
+      throw new AccessTokenError(`Unknown signing key "${header.kid}"`);
+    }
+    const signed = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+    if (!crypto.verify(digest, signed, key, Buffer.from(encodedSignature, 'base64url'))) {
+      throw new AccessTokenError('Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (payload.iss !== this.issuer) {
+      throw new AccessTokenError(`Token issuer "${payload.iss}" does not match ${this.issuer}`);
+    }
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.some(aud => this.audiences.includes(aud))) {
+      throw new AccessTokenError('Token audience does not match CF_ACCESS_AUD');
+    }
+    if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now) {
+      throw new AccessTokenError('Token has expired');
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+      throw new AccessTokenError('Token is not valid yet');
+    }
+    return payload;
+  }
+
+  // Identity mapping rules (re-read when the file changes)
+  loadIdentities() {
+    if (!this.identitiesFile) {
+      return null;
+    }
+    const mtime = statSync(this.identitiesFile).mtimeMs;
+    if (mtime !== this.identitiesMtime) {
+      const data = JSON.parse(readFileSync(this.identitiesFile, 'utf-8'));
+      const identities = Array.isArray(data) ? data : data.identities;
+      if (!Array.isArray(identities)) {
+        throw new Error(`${this.identitiesFile} must contain an "identities" array`);
+      }
+      identities.forEach(validateRule);
+      this.identities = identities;
+      this.identitiesMtime = mtime;
+    }
+    return this.identities;
+  }
+
+  // Map verified claims to a key-like record (null if no identity rule matches)
+  recordFor(claims) {
+    const email = claims.email ? String(claims.email).toLowerCase() : null;
+    const name = email || claims.common_name || claims.sub;
+    const groups = groupsOf(claims);
+    const rules = this.loadIdentities();
+
+    const rule = rules
+      ? rules.find(candidate => matchesRule(candidate, email, groups, claims.common_name))
+      : {};
+    if (!rule) {
+      return null;
+    }
+
+    return {
+      id: `access:${name}`,
+      name,
+      owner: email,
+      auth: 'cloudflare-access',
+      groups,
+      scopes: rule.scopes || ['inference'],
+      routes: rule.routes || [],
+      models: rule.models || [],
+      allowedIps: rule.allowedIps || [],
+      limits: rule.limits || {},
+      priority: rule.priority || 'normal',
+      contentPolicy: rule.contentPolicy || {},
+      revoked: false,
+      expiresAt: null // token expiry was checked by verify()
+    };
+  }
+}
+
+// Groups from the token claims (IdP groups, as names or { id, name } objects)
+function groupsOf(claims) {
+  const groups = claims.groups || claims.custom?.groups || [];
+  return (Array.isArray(groups) ? groups : [groups])
+    .map(group => (typeof group === 'object' && group !== null ? group.name || group.id : group))
+    .filter(Boolean)
+    .map(String);
+}
+
+function matchesRule(rule, email, groups, commonName) {
+  if (rule.email) {
+    const pattern = rule.email.toLowerCase();
+    if (email && (pattern === email || (pattern.startsWith('*@') && email.endsWith(pattern.substring(1))))) {
+      return true;
+    }
+  }
+  if (rule.serviceToken && rule.serviceToken === commonName) {
+    return true;
+  }
+  return Boolean(rule.group) && groups.includes(rule.group);
+}
+
+function validateRule(rule) {
+  if (!rule || (!rule.email && !rule.group && !rule.serviceToken)) {
+    throw new Error('Every Cloudflare Access identity rule needs an "email", "group" or "serviceToken"');
+  }
+  if (rule.priority && !PRIORITIES.includes(rule.priority)) {
+    throw new Error(`Invalid priority "${rule.priority}" for identity ${rule.email || rule.group || rule.serviceToken}`);
+  }
+  new IpList(rule.allowedIps || []); // throws on invalid addresses/ranges
+  if (rule.contentPolicy !== undefined) {
+    validateContentPolicy(rule.contentPolicy);
+  }
+}
@@ -0,0 +1,214 @@
+import { readFileSync, watch } from 'fs';
+import { basename, dirname, resolve } from 'path';
+import Ajv from 'ajv';
+import YAML from 'yaml';
+import { STRATEGIES } from './upstreams.js';
+import { LIMIT_NAMES } from './rate-limit.js';
+import { LEVELS } from './logger.js';
+import { PII_KINDS } from './content-policy.js';
+import { CONTEXT_CHECK_MODES } from './context-length.js';
+import { TOOL_SHIM_FORMATS } from './tool-shim.js';
+
+// Optional configuration file (CONFIG_FILE, YAML or JSON)
+// Covers the settings that can change while the server runs - upstreams, queue, keys,
+// aliases, rate limits, IP restrictions, logging and error details. Environment variables
+// are the defaults; sections present in the file replace them. Example (config.example.yaml):
+//
+//   loadBalancing: least-connections
+//   upstreams:
+//     - { name: desk-1, url: http://192.168.50.193:5595, weight: 2, maxConcurrency: 1 }
+//   aliases:
+//     gpt-4o-mini: llama-3.1-8b-instruct
+//   toolShim: { llama-3.2-3b-instruct: json }
+//   context: { check: trim, lengths: { llama-3.1-8b-instruct: 16384 } }
+//   limits: { rpm: 60 }
+//   contentPolicy: { deny: ["ignore previous instructions"], maskPii: [email, card] }
+//   logging: { level: debug }
+//
+// The file is validated against CONFIG_SCHEMA before anything is applied, so a typo
+// keeps the current configuration running and is reported with the offending path.
+
+const nonNegativeInteger = { type: 'integer', minimum: 0 };
+const ipList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    loadBalancing: { enum: STRATEGIES },
+    upstreamCooldownMs: nonNegativeInteger,
+    upstreams: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['name', 'url'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          url: { type: 'string', pattern: '^https?://' },
+          weight: { type: 'number', exclusiveMinimum: 0 },
+          maxConcurrency: nonNegativeInteger
+        }
+      }
+    },
+    queue: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        maxConcurrency: nonNegativeInteger,
+        maxLength: nonNegativeInteger,
+        maxWaitMs: nonNegativeInteger
+      }
+    },
+    keys: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        file: { type: 'string', minLength: 1 },
+        apiKey: { type: ['string', 'null'], pattern: '^sk-' }
+      }
+    },
+    aliases: {
+      type: 'object',
+      additionalProperties: { type: 'string', minLength: 1 }
+    },
+    toolShim: {
+      type: 'object',
+      additionalProperties: { enum: TOOL_SHIM_FORMATS }
+    },
+    context: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        check: { enum: CONTEXT_CHECK_MODES },
+        lengths: { type: 'object', additionalProperties: { type: 'integer', minimum: 1 } },
+        reserveTokens: nonNegativeInteger,
+        charsPerToken: { type: 'number', exclusiveMinimum: 0 }
+      }
+    },
+    limits: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(LIMIT_NAMES.map(name => [name, nonNegativeInteger]))
+    },
+    ipRestrictions: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        allowed: ipList,
+        denied: ipList,
+        trustedProxies: ipList
+      }
+    },
+    contentPolicy: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        deny: { type: 'array', items: { type: 'string', minLength: 1 } },
+        maxPromptChars: nonNegativeInteger,
+        maskPii: { type: 'array', items: { enum: PII_KINDS } },
+        scanResponses: { type: 'boolean' }
+      }
+    },
+    logging: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        level: { enum: LEVELS },
+        format: { enum: ['json', 'text'] },
+        redact: { type: 'boolean' }
+      }
+    },
+    errors: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        debug: { type: 'boolean' }
+      }
+    }
+  }
+};
+
+const validate = new Ajv({ allErrors: true }).compile(CONFIG_SCHEMA);
+
+export class ConfigError extends Error {
+  constructor(filePath, problems) {
+    super(`Invalid configuration in ${filePath}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// "/upstreams/0/weight must be > 0", "(root) has unknown setting "upstream"", ...
+function describeError({ instancePath, keyword, params, message }) {
+  const path = instancePath || '(root)';
+  if (keyword === 'additionalProperties') {
+    return `${path} has unknown setting "${params.additionalProperty}"`;
+  }
+  if (keyword === 'enum') {
+    return `${path} must be one of: ${params.allowedValues.join(', ')}`;
+  }
+  return `${path} ${message}`;
+}
+
+// Parse and validate config file contents. Throws ConfigError.
+export function parseConfig(text, filePath) {
+  let config;
+  try {
+    // YAML is a superset of JSON, so this reads .json files too
+    config = YAML.parse(text) ?? {};
+  } catch (err) {
+    throw new ConfigError(filePath, [err.message.split('\n')[0]]);
+  }
+  if (!validate(config)) {
+    throw new ConfigError(filePath, validate.errors.map(describeError));
+  }
+  return config;
+}
+
+export class ConfigFile {
+  constructor(filePath) {
+    this.filePath = resolve(filePath);
+    this.content = null;
+  }
+
+  // Read and validate the file. Throws ConfigError (or a file system error).
+  read() {
+    const content = readFileSync(this.filePath, 'utf-8');
+    const config = parseConfig(content, this.filePath);
+    this.content = content;
+    return config;
+  }
+
+  hasChanged() {
+    try {
+      return readFileSync(this.filePath, 'utf-8') !== this.content;
+    } catch (err) {
+      return false; // Mid-save (deleted before being rewritten) - wait for the next event
+    }
+  }
+
+  // Call onChange() when the file's contents change. Watches the directory rather than
+  // the file, since editors often save by writing a new file and renaming it over the old one.
+  // Returns a function that stops watching.
+  watch(onChange, { debounceMs = 250 } = {}) {
+    let timer = null;
+    const watcher = watch(dirname(this.filePath), (event, filename) => {
+      if (filename && filename !== basename(this.filePath)) {
+        return;
+      }
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        if (this.hasChanged()) {
+          onChange();
+        }
+      }, debounceMs);
+    });
+    watcher.unref();
+    return () => {
+      clearTimeout(timer);
+      watcher.close();
+    };
+  }
+}
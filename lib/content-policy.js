@@ -0,0 +1,311 @@
+import { openAIError } from './errors.js';
+
+// Content policy: checks on what clients send to LM Studio and what comes back
+// The defaults come from the config file's `contentPolicy` section (and CONTENT_POLICY_*
+// environment variables); a key's own `contentPolicy` replaces them field by field:
+//
+//   {
+//     "deny": ["ignore (all )?previous instructions"],  // regexes (case-insensitive)
+//     "maxPromptChars": 20000,                         // 0 = no limit
+//     "maskPii": ["email", "card"],                    // PII masked in prompts
+//     "scanResponses": true                            // also apply deny/maskPii to completions
+//   }
+//
+// Request hooks see the prompt text (chat messages, completion prompts, embedding inputs)
+// after API translation, so they cover /v1/messages, /api/chat, /v1/responses, ... too.
+// They can rewrite it, or block the request with a 400 `content_policy_violation` error.
+//
+// Response hooks run on completion text as it is generated - on streamed deltas as well as
+// whole completions. A deny match ends the completion with finish_reason "content_filter"
+// (text already streamed stays sent); PII masking holds back a possibly incomplete email or
+// card number at the end of a delta until the next one shows where it ends.
+
+export const PII_KINDS = ['email', 'card'];
+export const POLICY_FIELDS = ['deny', 'maxPromptChars', 'maskPii', 'scanResponses'];
+
+// How much of a completion's latest text deny patterns are matched against
+const RESPONSE_WINDOW_CHARS = 4096;
+// Longest tail of a delta held back for PII masking
+const MAX_HOLDBACK_CHARS = 256;
+
+// Luhn checksum, so order numbers and the like aren't masked as card numbers
+function isCardNumber(candidate) {
+  const digits = candidate.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+const PII = {
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+    mask: () => '[EMAIL]'
+  },
+  card: {
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    mask: match => (isCardNumber(match) ? '[CARD]' : match)
+  }
+};
+
+const compiledPatterns = new Map();
+
+function compile(source) {
+  if (!compiledPatterns.has(source)) {
+    compiledPatterns.set(source, new RegExp(source, 'iu'));
+  }
+  return compiledPatterns.get(source);
+}
+
+// Check a policy (the defaults or a key's). Throws on the first invalid field.
+export function validateContentPolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('Content policy must be an object');
+  }
+  for (const [field, value] of Object.entries(policy)) {
+    if (!POLICY_FIELDS.includes(field)) {
+      throw new Error(`Unknown content policy setting "${field}" (expected ${POLICY_FIELDS.join(', ')})`);
+    }
+    if (value === null) {
+      continue;
+    }
+    if (field === 'deny') {
+      if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+        throw new Error('Content policy "deny" must be an array of regular expressions');
+      }
+      for (const source of value) {
+        try {
+          compile(source);
+        } catch (err) {
+          throw new Error(`Invalid content policy deny pattern "${source}": ${err.message}`);
+        }
+      }
+    } else if (field === 'maxPromptChars' && (!Number.isInteger(value) || value < 0)) {
+      throw new Error('Content policy "maxPromptChars" must be a non-negative integer');
+    } else if (field === 'maskPii' && (!Array.isArray(value) || !value.every(kind => PII_KINDS.includes(kind)))) {
+      throw new Error(`Content policy "maskPii" must be an array of: ${PII_KINDS.join(', ')}`);
+    } else if (field === 'scanResponses' && typeof value !== 'boolean') {
+      throw new Error('Content policy "scanResponses" must be true or false');
+    }
+  }
+  return policy;
+}
+
+// The policy for a request: the defaults with the key's own settings on top
+export function policyFor(defaults, record) {
+  const policy = { ...defaults };
+  for (const [field, value] of Object.entries(record?.contentPolicy || {})) {
+    if (value !== null && value !== undefined) {
+      policy[field] = value;
+    }
+  }
+  return {
+    deny: (policy.deny || []).map(compile),
+    maxPromptChars: policy.maxPromptChars || 0,
+    maskPii: policy.maskPii || [],
+    scanResponses: Boolean(policy.scanResponses)
+  };
+}
+
+function isActive(policy) {
+  return policy.deny.length > 0 || policy.maxPromptChars > 0 || policy.maskPii.length > 0;
+}
+
+export function maskPii(text, kinds) {
+  return kinds.reduce((masked, kind) => masked.replace(PII[kind].pattern, PII[kind].mask), text);
+}
+
+// The prompt text of an OpenAI request body, as { text } entries that can be rewritten
+// (apply() writes them back into the body)
+function promptTexts(body) {
+  const entries = [];
+  const add = (text, write) => entries.push({ text, original: text, write });
+
+  for (const message of Array.isArray(body.messages) ? body.messages : []) {
+    if (typeof message?.content === 'string') {
+      add(message.content, (text) => { message.content = text; });
+    } else if (Array.isArray(message?.content)) {
+      for (const part of message.content) {
+        if (part?.type === 'text' && typeof part.text === 'string') {
+          add(part.text, (text) => { part.text = text; });
+        }
+      }
+    }
+  }
+  for (const field of ['prompt', 'input']) {
+    const value = body[field];
+    if (typeof value === 'string') {
+      add(value, (text) => { body[field] = text; });
+    } else if (Array.isArray(value)) {
+      value.forEach((item, index) => {
+        if (typeof item === 'string') {
+          add(item, (text) => { value[index] = text; });
+        }
+      });
+    }
+  }
+
+  entries.apply = () => entries.filter(entry => entry.text !== entry.original).forEach(entry => entry.write(entry.text));
+  return entries;
+}
+
+// Request hooks: (texts, policy) => a reason to block the request, or null.
+// Hooks may rewrite entry.text; later hooks see the rewritten text.
+export const REQUEST_HOOKS = [
+  function maxPromptSize(texts, policy) {
+    const size = texts.reduce((total, entry) => total + entry.text.length, 0);
+    if (policy.maxPromptChars && size > policy.maxPromptChars) {
+      return `The prompt is ${size} characters long, over the limit of ${policy.maxPromptChars}`;
+    }
+    return null;
+  },
+  function denyList(texts, policy) {
+    const pattern = policy.deny.find(regex => texts.some(entry => regex.test(entry.text)));
+    return pattern ? 'The prompt contains content that is not allowed' : null;
+  },
+  function piiMasking(texts, policy) {
+    for (const entry of texts) {
+      entry.text = maskPii(entry.text, policy.maskPii);
+    }
+    return null;
+  }
+];
+
+// Response hooks (when scanResponses is on):
+//   check(recent, policy)  a reason to stop the completion, given its latest text (or null)
+//   rewrite(text, policy)  the text to send instead
+//   holdBack(policy)       whether text at the end of a delta may need the next one to rewrite
+export const RESPONSE_HOOKS = [
+  {
+    name: 'denyList',
+    check: (recent, policy) => (policy.deny.some(regex => regex.test(recent)) ? 'The completion contains content that is not allowed' : null)
+  },
+  {
+    name: 'piiMasking',
+    rewrite: (text, policy) => maskPii(text, policy.maskPii),
+    holdBack: policy => policy.maskPii.length > 0
+  }
+];
+
+// Where the text that might still grow into an email or card number starts
+function holdBackFrom(text) {
+  const tail = /(?:\d[ -]?)*[\w.%+@-]*$/.exec(text);
+  return Math.max(tail.index, text.length - MAX_HOLDBACK_CHARS);
+}
+
+// Response transform (see lib/response-transform.js) applying the response hooks to chat and
+// text completions, streamed or not. State is kept per choice, across the chunks of a stream.
+function createResponseFilter(policy, hooks, onBlock) {
+  const states = new Map();
+  const checks = hooks.filter(hook => hook.check);
+  const rewrites = hooks.filter(hook => hook.rewrite);
+  const holdBack = hooks.some(hook => hook.holdBack?.(policy));
+
+  // Returns the text to send for this piece, or null when the choice was blocked before
+  const filter = (index, piece, finished) => {
+    const state = states.get(index) || { recent: '', pending: '', blocked: false };
+    states.set(index, state);
+    if (state.blocked) {
+      return null;
+    }
+
+    state.recent = (state.recent + piece).slice(-RESPONSE_WINDOW_CHARS);
+    for (const hook of checks) {
+      const reason = hook.check(state.recent, policy);
+      if (reason) {
+        state.blocked = true;
+        onBlock(hook.name, reason);
+        return { text: '', blocked: true };
+      }
+    }
+
+    state.pending += piece;
+    const split = finished || !holdBack ? state.pending.length : holdBackFrom(state.pending);
+    const text = state.pending.substring(0, split);
+    state.pending = state.pending.substring(split);
+    return { text: rewrites.reduce((current, hook) => hook.rewrite(current, policy), text), blocked: false };
+  };
+
+  return (data) => {
+    if (!Array.isArray(data?.choices)) {
+      return data;
+    }
+    data.choices = data.choices.filter((choice) => {
+      const index = choice.index ?? 0;
+      const holder = choice.delta || choice.message;
+      const field = holder ? 'content' : 'text';
+      const target = holder || choice;
+      const piece = typeof target[field] === 'string' ? target[field] : '';
+      const result = filter(index, piece, Boolean(choice.finish_reason));
+      if (!result) {
+        return false; // Blocked earlier in the stream - nothing more from this choice
+      }
+      if (piece || result.text) {
+        target[field] = result.text;
+      }
+      if (result.blocked) {
+        choice.finish_reason = 'content_filter';
+        if (choice.message?.tool_calls) {
+          delete choice.message.tool_calls;
+        }
+      }
+      return true;
+    });
+    return data;
+  };
+}
+
+// Middleware: apply the content policy to inference requests (req.config.contentPolicy
+// for the defaults, the key's contentPolicy on top). Must run after API translation
+// (lib/api-adapter.js) and before model aliases, so it sees OpenAI-format bodies.
+// Bodies the hooks can't read (not JSON, or not a JSON object) are blocked rather than
+// forwarded unchecked.
+export const contentPolicy = ({ requestHooks = REQUEST_HOOKS, responseHooks = RESPONSE_HOOKS } = {}) => (req, res, next) => {
+  if (req.method !== 'POST') {
+    return next();
+  }
+  const policy = policyFor(req.config.contentPolicy, req.apiKey);
+  if (!isActive(policy)) {
+    return next();
+  }
+  const hasBody = req.rawBody === undefined
+    ? req.headers['transfer-encoding'] !== undefined || parseInt(req.headers['content-length'] || '0', 10) > 0
+    : req.rawBody.length > 0;
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    if (!hasBody) {
+      return next();
+    }
+    req.log.warn('Request blocked by content policy', { reason: 'unreadable body', contentType: req.headers['content-type'] });
+    return res.status(400).json(openAIError(
+      'The request body could not be checked against the content policy: it must be a JSON object',
+      'invalid_request_error',
+      'content_policy_violation'
+    ));
+  }
+
+  const texts = promptTexts(req.body);
+  for (const hook of requestHooks) {
+    const reason = hook(texts, policy);
+    if (reason) {
+      req.log.warn('Request blocked by content policy', { hook: hook.name, reason });
+      return res.status(400).json(openAIError(reason, 'invalid_request_error', 'content_policy_violation'));
+    }
+  }
+  texts.apply();
+
+  if (policy.scanResponses) {
+    req.responseTransforms = req.responseTransforms || [];
+    req.responseTransforms.push(createResponseFilter(policy, responseHooks, (hook, reason) => {
+      req.log.warn('Completion stopped by content policy', { hook, reason });
+    }));
+  }
+  next();
+};
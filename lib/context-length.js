@@ -0,0 +1,176 @@
+import { openAIError } from './errors.js';
+
+// Pre-flight context length check
+// LM Studio fails requests whose prompt doesn't fit the model's context window only after
+// it has queued and started them. This estimates the prompt's tokens first, and compares
+// them with the model's context length - from the `context.lengths` setting, or else from
+// LM Studio's model info (/api/v0/models, see lib/model-inventory.js).
+//
+//   reject  oversized requests get a 400 `context_length_exceeded` error with the
+//           estimated and allowed token counts
+//   trim    chat requests drop their oldest non-system messages (whole turns) until they
+//           fit; other requests are rejected as above
+//   off     no check
+//
+// There's no tokenizer here, so tokens are estimated from the text length (charsPerToken)
+// plus a few tokens per message. reserveTokens are kept free for the answer.
+
+export const CONTEXT_CHECK_MODES = ['off', 'reject', 'trim'];
+
+const CHECKED_FIELDS = {
+  '/v1/chat/completions': 'messages',
+  '/v1/completions': 'prompt',
+  '/v1/embeddings': 'input'
+};
+
+// Chat template tokens around each message, and around the whole prompt
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const PROMPT_OVERHEAD_TOKENS = 3;
+// Rough cost of an image for vision models
+const IMAGE_TOKENS = 256;
+
+// Parse CONTEXT_LENGTHS ("model=8192,other-model=32768") into { model: tokens }
+export function parseContextLengths(value) {
+  const lengths = Object.create(null);
+  for (const entry of value.split(',').map(item => item.trim()).filter(Boolean)) {
+    const equals = entry.lastIndexOf('=');
+    const tokens = Number(entry.substring(equals + 1));
+    if (equals <= 0 || !Number.isInteger(tokens) || tokens <= 0) {
+      throw new Error(`Invalid context length "${entry}": expected model=tokens`);
+    }
+    lengths[entry.substring(0, equals).trim()] = tokens;
+  }
+  return lengths;
+}
+
+// A model's context window in tokens (null if unknown)
+export function contextLengthFor(model, lengths, inventory) {
+  if (!model) {
+    return null;
+  }
+  // The config file's lengths are a plain object - "constructor" is not a model
+  if (lengths && Object.hasOwn(lengths, model) && lengths[model]) {
+    return lengths[model];
+  }
+  const details = inventory.modelDetails(model);
+  return details?.loaded_context_length || details?.max_context_length || null;
+}
+
+function textTokens(text, charsPerToken) {
+  return typeof text === 'string' ? Math.ceil(text.length / charsPerToken) : 0;
+}
+
+function contentTokens(content, charsPerToken) {
+  if (!Array.isArray(content)) {
+    return textTokens(content, charsPerToken);
+  }
+  return content.reduce((total, part) => {
+    if (part?.type === 'image_url') {
+      return total + IMAGE_TOKENS;
+    }
+    return total + textTokens(part?.text, charsPerToken);
+  }, 0);
+}
+
+function messageTokens(message, charsPerToken) {
+  let tokens = MESSAGE_OVERHEAD_TOKENS + contentTokens(message?.content, charsPerToken);
+  for (const call of message?.tool_calls || []) {
+    tokens += textTokens(call.function?.name, charsPerToken) + textTokens(call.function?.arguments, charsPerToken);
+  }
+  return tokens;
+}
+
+// Estimated prompt tokens of a request body for one of CHECKED_FIELDS' routes
+// Completion prompts and embedding inputs given as arrays are separate prompts - the
+// longest one counts.
+export function estimatePromptTokens(path, body, charsPerToken) {
+  if (path === '/v1/chat/completions') {
+    const messages = Array.isArray(body.messages) ? body.messages : [];
+    const tools = Array.isArray(body.tools) ? textTokens(JSON.stringify(body.tools), charsPerToken) : 0;
+    return PROMPT_OVERHEAD_TOKENS + tools + messages.reduce((total, message) => total + messageTokens(message, charsPerToken), 0);
+  }
+  const value = body[CHECKED_FIELDS[path]];
+  const texts = Array.isArray(value) ? value : [value];
+  return Math.max(0, ...texts.map(text => textTokens(text, charsPerToken)));
+}
+
+// Drop the oldest non-system messages until the estimate is within allowed, a whole turn
+// at a time (so tool results never lose their call, and a user message comes first).
+// The last message is always kept. Returns { messages, removed } or null if it can't fit.
+export function trimMessages(body, allowed, charsPerToken) {
+  const messages = [...body.messages];
+  let estimated = estimatePromptTokens('/v1/chat/completions', body, charsPerToken);
+  let removed = 0;
+
+  const remove = (index) => {
+    estimated -= messageTokens(messages[index], charsPerToken);
+    messages.splice(index, 1);
+    removed += 1;
+  };
+
+  while (estimated > allowed) {
+    const index = messages.findIndex((message, i) => message?.role !== 'system' && i < messages.length - 1);
+    if (index === -1) {
+      return null;
+    }
+    remove(index);
+    while (index < messages.length - 1 && !['user', 'system'].includes(messages[index]?.role)) {
+      remove(index);
+    }
+  }
+  return { messages, removed };
+}
+
+function contextError(model, contextLength, reserveTokens, estimated, allowed, param) {
+  const body = openAIError(
+    `This model's maximum context length is ${contextLength} tokens` +
+    (reserveTokens ? `, ${reserveTokens} of which are kept for the answer` : '') +
+    `. Your prompt is about ${estimated} tokens (estimated), more than the ${allowed} allowed. ` +
+    'Shorten the prompt or use a model with a larger context.',
+    'invalid_request_error',
+    'context_length_exceeded',
+    param
+  );
+  Object.assign(body.error, { model, estimated_tokens: estimated, allowed_tokens: allowed, context_length: contextLength });
+  return body;
+}
+
+// Middleware: check (and in "trim" mode fit) prompts against the model's context length,
+// using req.config.context ({ check, lengths, reserveTokens, charsPerToken }).
+// Runs after model aliases are resolved, so it sees the real model.
+export const checkContextLength = (inventory) => (req, res, next) => {
+  const settings = req.config.context;
+  const param = CHECKED_FIELDS[req.path];
+  if (settings.check === 'off' || req.method !== 'POST' || !param || !req.body || typeof req.body !== 'object') {
+    return next();
+  }
+  const model = req.body.model;
+  const contextLength = contextLengthFor(model, settings.lengths, inventory);
+  if (!contextLength) {
+    return next();
+  }
+
+  // Embeddings don't generate anything, so nothing is kept for an answer
+  const reserveTokens = req.path === '/v1/embeddings' ? 0 : Math.min(settings.reserveTokens, Math.floor(contextLength / 2));
+  const allowed = contextLength - reserveTokens;
+  const estimated = estimatePromptTokens(req.path, req.body, settings.charsPerToken);
+  req.promptEstimate = { estimated, contextLength };
+  if (estimated <= allowed) {
+    return next();
+  }
+
+  if (settings.check === 'trim' && param === 'messages' && Array.isArray(req.body.messages)) {
+    const trimmed = trimMessages(req.body, allowed, settings.charsPerToken);
+    if (trimmed) {
+      req.log.info('Trimmed chat messages to fit the context window', {
+        model, removed: trimmed.removed, estimatedTokens: estimated, allowedTokens: allowed, contextLength
+      });
+      req.body.messages = trimmed.messages;
+      res.setHeader('X-Context-Trimmed-Messages', trimmed.removed);
+      return next();
+    }
+  }
+
+  req.log.warn('Prompt exceeds the context window', { model, estimatedTokens: estimated, allowedTokens: allowed, contextLength });
+  res.status(400).json(contextError(model, contextLength, reserveTokens, estimated, allowed, param));
+};
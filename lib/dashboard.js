@@ -0,0 +1,51 @@
+// Data for the web dashboard (/ui, see ui/)
+// The page polls GET /admin/dashboard, which combines what /health reports with recent
+// activity the proxy keeps in memory: the last requests from the access log and the last
+// warnings/errors (Cloudflare errors from onProxyRes, upstream failures, ...).
+
+export const DASHBOARD_USAGE_DAYS = 14;
+
+// Fixed-size buffer that keeps the most recent items
+export class RecentBuffer {
+  constructor(size = 200) {
+    this.size = size;
+    this.items = [];
+  }
+
+  push(item) {
+    this.items.push(item);
+    if (this.items.length > this.size) {
+      this.items.shift();
+    }
+  }
+
+  // Newest first
+  list(limit = this.size) {
+    return this.items.slice(-limit).reverse();
+  }
+}
+
+// Token usage per UTC day and key, for the per-key usage chart
+// Returns [{ day, keys: { keyName: { requests, promptTokens, completionTokens } } }],
+// with an entry for every day of the range (days without requests are empty).
+export function usageByDay(entries, days = DASHBOARD_USAGE_DAYS, now = new Date()) {
+  const byDay = new Map();
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const date = new Date(now.getTime() - offset * 24 * 60 * 60 * 1000);
+    byDay.set(date.toISOString().substring(0, 10), {});
+  }
+
+  for (const entry of entries) {
+    const keys = byDay.get(entry.timestamp.substring(0, 10));
+    if (!keys) {
+      continue;
+    }
+    const name = entry.keyName || entry.keyId || 'unknown';
+    const totals = keys[name] || (keys[name] = { requests: 0, promptTokens: 0, completionTokens: 0 });
+    totals.requests += 1;
+    totals.promptTokens += entry.promptTokens || 0;
+    totals.completionTokens += entry.completionTokens || 0;
+  }
+
+  return [...byDay].map(([day, keys]) => ({ day, keys }));
+}
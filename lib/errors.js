@@ -0,0 +1,47 @@
+// OpenAI-style error responses
+// OpenAI SDKs parse errors from { error: { message, type, code, param } } and
+// pick their retry behaviour from the HTTP status (429, 5xx) and Retry-After header.
+
+export function openAIError(message, type, code = null, param = null) {
+  return {
+    error: {
+      message,
+      type,
+      param,
+      code
+    }
+  };
+}
+
+// Send an OpenAI-style error response
+export function sendOpenAIError(res, status, { message, type, code = null, param = null, headers = {} }) {
+  for (const [name, value] of Object.entries(headers)) {
+    res.setHeader(name, value);
+  }
+  return res.status(status).json(openAIError(message, type, code, param));
+}
+
+// Error types by HTTP status, for errors the proxy itself produces
+const STATUS_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'invalid_request_error',
+  413: 'invalid_request_error',
+  429: 'rate_limit_error'
+};
+
+export function errorType(status) {
+  return STATUS_TYPES[status] || (status >= 500 ? 'server_error' : 'invalid_request_error');
+}
+
+// Error body for an error the proxy itself produces (auth, queue, upstream failures, ...)
+// debug (troubleshooting hints, upstream details) goes into error.debug - callers only pass
+// it when the errors.debug setting is on, since it can reveal upstream addresses.
+export function proxyErrorBody(status, message, { code = null, param = null, debug = null } = {}) {
+  const body = openAIError(message, errorType(status), code, param);
+  if (debug) {
+    body.error.debug = debug;
+  }
+  return body;
+}
@@ -0,0 +1,158 @@
+import { BlockList, isIP } from 'net';
+
+// IP access control
+// Client IPs are only taken from CF-Connecting-IP / X-Forwarded-For / X-Real-IP when the
+// connection comes from a trusted proxy (TRUSTED_PROXIES - by default loopback, where
+// cloudflared connects from). Anyone else could put any address in those headers, so for
+// other peers the socket address is the client IP.
+//
+// IP lists (ALLOWED_IPS, DENIED_IPS, TRUSTED_PROXIES and per-key allowedIps) take IPv4 and
+// IPv6 addresses and CIDR ranges, plus the keywords "loopback" and "private".
+
+const KEYWORDS = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7', 'fe80::/10']
+};
+
+export const DEFAULT_TRUSTED_PROXIES = ['loopback'];
+
+// Strip IPv6 zone ids and unwrap IPv4-mapped IPv6 addresses (::ffff:1.2.3.4)
+export function normalizeIp(ip) {
+  if (!ip || typeof ip !== 'string') {
+    return null;
+  }
+  let address = ip.trim();
+  // "[::1]:1234" / "1.2.3.4:1234" forms occasionally show up in forwarding headers
+  const bracketed = address.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) {
+    address = bracketed[1];
+  } else if (/^\d+\.\d+\.\d+\.\d+:\d+$/.test(address)) {
+    address = address.substring(0, address.lastIndexOf(':'));
+  }
+  address = address.split('%')[0];
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    address = mapped[1];
+  }
+  return isIP(address) ? address.toLowerCase() : null;
+}
+
+function ipType(address) {
+  return isIP(address) === 6 ? 'ipv6' : 'ipv4';
+}
+
+// A list of addresses and CIDR ranges
+export class IpList {
+  constructor(entries = []) {
+    this.entries = [];
+    this.blockList = new BlockList();
+    for (const entry of entries) {
+      this.add(entry);
+    }
+  }
+
+  add(entry) {
+    const value = String(entry).trim();
+    if (!value) {
+      return;
+    }
+    if (KEYWORDS[value.toLowerCase()]) {
+      KEYWORDS[value.toLowerCase()].forEach(range => this.addRange(range));
+      this.entries.push(value.toLowerCase());
+      return;
+    }
+    this.addRange(value);
+    this.entries.push(value);
+  }
+
+  addRange(value) {
+    const [address, prefix, ...rest] = value.split('/');
+    const normalized = normalizeIp(address);
+    if (!normalized || rest.length > 0) {
+      throw new Error(`Invalid IP address or CIDR range "${value}"`);
+    }
+    const type = ipType(normalized);
+    if (prefix === undefined) {
+      this.blockList.addAddress(normalized, type);
+      return;
+    }
+    const bits = Number(prefix);
+    if (!/^\d+$/.test(prefix) || bits > (type === 'ipv6' ? 128 : 32)) {
+      throw new Error(`Invalid CIDR prefix length in "${value}"`);
+    }
+    this.blockList.addSubnet(normalized, bits, type);
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  includes(ip) {
+    const address = normalizeIp(ip);
+    return Boolean(address) && this.blockList.check(address, ipType(address));
+  }
+
+  toJSON() {
+    return this.entries;
+  }
+}
+
+// Parse a comma-separated IP list from the environment
+export function parseIpList(value) {
+  return new IpList((value || '').split(',').map(item => item.trim()).filter(Boolean));
+}
+
+// Determine the client IP of a request
+// Forwarding headers are only honored when the socket peer is a trusted proxy. For
+// X-Forwarded-For, trusted proxies are skipped from the right, so a client can't spoof
+// its address by sending its own X-Forwarded-For header.
+export function resolveClientIp(req, trustedProxies) {
+  const peer = normalizeIp(req.socket?.remoteAddress);
+  if (!peer || !trustedProxies.includes(peer)) {
+    return peer;
+  }
+
+  const cfConnectingIp = normalizeIp(req.headers['cf-connecting-ip']);
+  if (cfConnectingIp) {
+    return cfConnectingIp;
+  }
+
+  const forwarded = (req.headers['x-forwarded-for'] || '').split(',').map(normalizeIp);
+  for (let index = forwarded.length - 1; index >= 0; index--) {
+    if (!forwarded[index]) {
+      break; // Malformed entry - don't trust anything left of it
+    }
+    if (!trustedProxies.includes(forwarded[index])) {
+      return forwarded[index];
+    }
+  }
+
+  return normalizeIp(req.headers['x-real-ip']) || peer;
+}
+
+// Check a client IP against deny and allow lists
+// Returns null if allowed, or the reason it was blocked.
+export function checkIpAccess(ip, { allowed, denied }) {
+  if (!ip) {
+    return 'Unable to determine client IP';
+  }
+  if (denied.size > 0 && denied.includes(ip)) {
+    return `IP address ${ip} is denied`;
+  }
+  if (allowed.size > 0 && !allowed.includes(ip)) {
+    return `IP address ${ip} is not allowed`;
+  }
+  return null;
+}
+
+// Check whether a key record allows a client IP (empty allowedIps = any IP)
+export function isIpAllowedForKey(record, ip) {
+  if (!record.allowedIps || record.allowedIps.length === 0) {
+    return true;
+  }
+  if (!record.allowedIpList) {
+    // Cached on the record - invalid entries were rejected when the key was created
+    Object.defineProperty(record, 'allowedIpList', { value: new IpList(record.allowedIps), enumerable: false });
+  }
+  return record.allowedIpList.includes(ip);
+}
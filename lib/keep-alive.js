@@ -0,0 +1,165 @@
+import { parseSseEvents, aggregateCompletion } from './stream-aggregate.js';
+import { applyTransforms, sendTransformedResponse } from './response-transform.js';
+import { proxyErrorBody } from './errors.js';
+
+// Keep-alive heartbeats for long generations
+// Cloudflare ends a tunnelled request with a 524 when no response bytes arrive within
+// 100 seconds - which happens while LM Studio is still processing a long prompt, or while
+// the request waits in the queue. Heartbeats send harmless bytes until the real response
+// starts:
+//
+//   - "sse" mode (stream: true requests): SSE comment lines (": keep-alive"), which SSE
+//     clients ignore. Heartbeats stop at the first upstream chunk.
+//   - "json" mode (opt-in via KEEPALIVE_NON_STREAMING, chat and text completions only):
+//     spaces before the JSON body, which JSON parsers ignore. The proxy streams from
+//     LM Studio internally and sends the aggregated completion once generation ends.
+//   - "ndjson" mode (streaming requests of APIs that stream JSON lines, e.g. Ollama's):
+//     spaces before the first line, which JSON parsers ignore too.
+//
+// Nothing is sent until the first interval elapses, so fast responses are untouched.
+// Once a heartbeat has gone out the status (200) and headers are committed, and errors
+// have to be reported in the body instead (see endWithError).
+
+// Routes whose non-streaming responses can be rebuilt from a stream
+export const AGGREGATABLE_ROUTES = ['/v1/chat/completions', '/v1/completions'];
+
+const HEADERS = {
+  sse: {
+    'content-type': 'text/event-stream',
+    'cache-control': 'no-cache',
+    'connection': 'keep-alive',
+    'x-accel-buffering': 'no'
+  },
+  json: {
+    'content-type': 'application/json; charset=utf-8',
+    'cache-control': 'no-cache'
+  },
+  ndjson: {
+    'content-type': 'application/x-ndjson',
+    'cache-control': 'no-cache',
+    'x-accel-buffering': 'no'
+  }
+};
+
+const HEARTBEATS = {
+  sse: ': keep-alive\n\n',
+  json: ' ',
+  ndjson: ' '
+};
+
+// Start sending heartbeats on res every intervalMs until stop() is called
+export function startKeepAlive(res, { intervalMs, mode = 'sse' }) {
+  const keepAlive = {
+    mode,
+    heartbeats: 0,
+    timer: null,
+    stop() {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  };
+
+  keepAlive.timer = setInterval(() => {
+    if (res.writableEnded || res.destroyed) {
+      return keepAlive.stop();
+    }
+    if (!res.headersSent) {
+      res.writeHead(200, HEADERS[mode]);
+    }
+    res.write(HEARTBEATS[mode]);
+    keepAlive.heartbeats += 1;
+  }, intervalMs);
+
+  res.once('close', () => keepAlive.stop());
+  return keepAlive;
+}
+
+// Middleware: start heartbeats for streaming requests (and, if enabled, switch
+// non-streaming completions to an internal stream). Must run after bufferJsonBody and
+// before upstream selection, so time spent in the queue is covered too.
+export const keepAlive = ({ intervalMs, nonStreaming = false }) => (req, res, next) => {
+  if (!intervalMs || !req.body || typeof req.body !== 'object') {
+    return next();
+  }
+
+  if (req.body.stream === true) {
+    // Translated requests (see lib/api-adapter.js) may stream in another format
+    req.keepAlive = startKeepAlive(res, { intervalMs, mode: req.responseAdapter?.format.keepAliveMode || 'sse' });
+  } else if (nonStreaming && AGGREGATABLE_ROUTES.includes(req.path)) {
+    req.body.stream = true;
+    req.body.stream_options = { include_usage: true, ...req.body.stream_options };
+    req.keepAlive = startKeepAlive(res, { intervalMs, mode: 'json' });
+    req.keepAlive.aggregate = true;
+  }
+  next();
+};
+
+// Finish a response whose headers were already sent by heartbeats with an error body
+// SSE clients get a final `data: {"error": ...}` event (which the OpenAI SDKs raise as an
+// error); JSON clients get the error object as the response body.
+export function endWithError(res, mode, body) {
+  if (res.writableEnded) {
+    return;
+  }
+  if (mode === 'json') {
+    res.end(JSON.stringify(body));
+    return;
+  }
+  res.write(`data: ${JSON.stringify(body)}\n\n`);
+  res.end('data: [DONE]\n\n');
+}
+
+function readBody(proxyRes, callback) {
+  const chunks = [];
+  proxyRes.on('data', (chunk) => chunks.push(chunk));
+  proxyRes.on('end', () => callback(Buffer.concat(chunks).toString('utf-8')));
+}
+
+// Turn an upstream error body into an OpenAI-style { error } object
+function upstreamError(statusCode, body) {
+  let message = body;
+  try {
+    const data = JSON.parse(body);
+    if (data?.error && typeof data.error === 'object') {
+      return data;
+    }
+    message = typeof data?.error === 'string' ? data.error : body;
+  } catch (err) {
+    // Not JSON - use the text as the message
+  }
+  return proxyErrorBody(statusCode, message || `LM Studio returned HTTP ${statusCode}`, { code: 'upstream_error' });
+}
+
+// Write a proxied response for a request with keep-alive heartbeats
+export function sendKeepAliveResponse(proxyRes, req, res, statusCode, headers, transforms = []) {
+  const { keepAlive } = req;
+  const isEventStream = (headers['content-type'] || '').includes('text/event-stream');
+
+  if (statusCode >= 400 || !isEventStream) {
+    keepAlive.stop();
+    if (!res.headersSent) {
+      return sendTransformedResponse(proxyRes, res, statusCode, headers, transforms);
+    }
+    return readBody(proxyRes, (body) => endWithError(res, keepAlive.mode, upstreamError(statusCode, body)));
+  }
+
+  if (keepAlive.aggregate) {
+    // Keep the heartbeats going for the whole generation, then send one JSON body
+    return readBody(proxyRes, (body) => {
+      keepAlive.stop();
+      const completion = applyTransforms(transforms, aggregateCompletion(parseSseEvents(body)));
+      const json = JSON.stringify(completion);
+      if (!res.headersSent) {
+        const jsonHeaders = { ...headers, ...HEADERS.json, 'content-length': Buffer.byteLength(json) };
+        delete jsonHeaders['transfer-encoding'];
+        res.writeHead(statusCode, jsonHeaders);
+      }
+      res.end(json);
+    });
+  }
+
+  // Streaming: heartbeats stop at the first chunk so they never land inside an event
+  proxyRes.once('data', () => keepAlive.stop());
+  proxyRes.once('end', () => keepAlive.stop());
+  sendTransformedResponse(proxyRes, res, statusCode, headers, transforms);
+}
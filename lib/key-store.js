@@ -0,0 +1,262 @@
+import crypto from 'crypto';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, statSync, renameSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { IpList } from './ip-access.js';
+import { PRIORITIES } from './queue.js';
+import { validateLimits } from './rate-limit.js';
+import { validateContentPolicy } from './content-policy.js';
+
+// Persistent API key store
+// Keys live in a JSON file (default: data/api-keys.json) and are stored as SHA-256
+// hashes - the plaintext key is only shown once, when it is generated.
+//
+// File format:
+// {
+//   "keys": [
+//     {
+//       "id": "key_1a2b3c4d",
+//       "name": "ci-runner",
+//       "owner": "alice@example.com",
+//       "createdAt": "2025-01-01T00:00:00.000Z",
+//       "expiresAt": null,                // ISO date or null (never expires)
+//       "scopes": ["inference"],          // "inference" for /v1/*, "admin" for /admin/*
+//       "routes": [],                     // allowed path prefixes, empty = all routes
+//       "models": [],                     // allowed models, empty = all models
+//       "allowedIps": [],                 // allowed client IPs/CIDR ranges, empty = any IP
+//       "limits": {},                     // per-key rate limits/token budgets (see lib/rate-limit.js)
+//       "priority": "normal",             // queue priority class: high, normal or low (see lib/queue.js)
+//       "contentPolicy": {},              // per-key content policy settings (see lib/content-policy.js)
+//       "revoked": false,
+//       "revokedAt": null,
+//       "prefix": "sk-1a2b3c4d",          // first characters, for identifying keys in logs
+//       "hash": "sha256:..."
+//     }
+//   ]
+// }
+
+export const DEFAULT_KEY_STORE_PATH = 'data/api-keys.json';
+export const DEFAULT_SCOPES = ['inference'];
+
+// Fields that can be changed on an existing key (see KeyStore.update)
+export const EDITABLE_FIELDS = ['name', 'owner', 'expiresAt', 'scopes', 'routes', 'models', 'allowedIps', 'limits', 'priority', 'contentPolicy'];
+
+// Hash an API key for storage/lookup
+export function hashApiKey(key) {
+  return 'sha256:' + crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Generate a secure random API key in OpenAPI format (sk- prefix + 64 hex chars)
+export function generateApiKey() {
+  return `sk-${crypto.randomBytes(32).toString('hex')}`;
+}
+
+// Check whether a key record has expired
+export function isExpired(record, now = Date.now()) {
+  return Boolean(record.expiresAt) && new Date(record.expiresAt).getTime() <= now;
+}
+
+// Check key fields before they are stored. Throws on the first invalid one.
+function validateFields({ expiresAt, scopes, routes, models, allowedIps, limits, priority, contentPolicy }) {
+  if (expiresAt && Number.isNaN(new Date(expiresAt).getTime())) {
+    throw new Error(`Invalid expiry date: ${expiresAt}`);
+  }
+  for (const [field, value] of Object.entries({ scopes, routes, models })) {
+    if (value !== undefined && (!Array.isArray(value) || !value.every(item => typeof item === 'string'))) {
+      throw new Error(`"${field}" must be an array of strings`);
+    }
+  }
+  if (allowedIps !== undefined) {
+    new IpList(allowedIps); // throws on invalid addresses/ranges
+  }
+  if (limits !== undefined) {
+    validateLimits(limits);
+  }
+  if (priority !== undefined && !PRIORITIES.includes(priority)) {
+    throw new Error(`Invalid priority "${priority}" (expected ${PRIORITIES.join(', ')})`);
+  }
+  if (contentPolicy !== undefined) {
+    validateContentPolicy(contentPolicy);
+  }
+}
+
+// Strip the hash before handing a record to logs or API responses
+export function toPublicRecord(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+export class KeyStore {
+  constructor(filePath = DEFAULT_KEY_STORE_PATH) {
+    this.filePath = resolve(filePath);
+    this.keys = [];
+    this.byHash = new Map();
+    this.loadedMtime = null;
+    this.load();
+  }
+
+  // Switch to another key store file (config reload)
+  open(filePath) {
+    this.filePath = resolve(filePath);
+    this.load();
+  }
+
+  // Load (or reload) keys from disk. A missing file is an empty store.
+  load() {
+    if (!existsSync(this.filePath)) {
+      this.setKeys([]);
+      this.loadedMtime = null;
+      return;
+    }
+
+    const content = readFileSync(this.filePath, 'utf-8');
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (err) {
+      throw new Error(`Invalid JSON in API key store ${this.filePath}: ${err.message}`);
+    }
+    if (!data || !Array.isArray(data.keys)) {
+      throw new Error(`Invalid API key store ${this.filePath}: expected an object with a "keys" array`);
+    }
+
+    this.setKeys(data.keys);
+    this.loadedMtime = statSync(this.filePath).mtimeMs;
+  }
+
+  // Reload if the file changed on disk (e.g. a key was added with generate-key)
+  reloadIfChanged() {
+    const mtime = existsSync(this.filePath) ? statSync(this.filePath).mtimeMs : null;
+    if (mtime !== this.loadedMtime) {
+      this.load();
+    }
+  }
+
+  setKeys(keys) {
+    this.keys = keys;
+    this.byHash = new Map(keys.map(record => [record.hash, record]));
+  }
+
+  // Write the store atomically (write temp file, then rename)
+  save() {
+    mkdirSync(dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify({ keys: this.keys }, null, 2) + '\n', { encoding: 'utf-8', mode: 0o600 });
+    renameSync(tmpPath, this.filePath);
+    this.loadedMtime = statSync(this.filePath).mtimeMs;
+  }
+
+  get size() {
+    return this.keys.length;
+  }
+
+  list() {
+    return this.keys.map(toPublicRecord);
+  }
+
+  // Find a key record by id or name
+  find(idOrName) {
+    return this.keys.find(record => record.id === idOrName) ||
+           this.keys.find(record => record.name === idOrName) ||
+           null;
+  }
+
+  // Look up the record for a plaintext key (null if unknown)
+  lookup(key) {
+    return this.byHash.get(hashApiKey(key)) || null;
+  }
+
+  // Create a new key. Returns { key, record } - the plaintext key is not stored.
+  create({ name, owner = null, expiresAt = null, scopes = DEFAULT_SCOPES, routes = [], models = [], allowedIps = [], limits = {}, priority = 'normal', contentPolicy = {} }) {
+    if (!name) {
+      throw new Error('A key name is required');
+    }
+    if (this.keys.some(record => record.name === name && !record.revoked)) {
+      throw new Error(`An active key named "${name}" already exists`);
+    }
+    validateFields({ expiresAt, scopes, routes, models, allowedIps, limits, priority, contentPolicy });
+
+    const key = generateApiKey();
+    const record = {
+      id: `key_${crypto.randomBytes(4).toString('hex')}`,
+      name,
+      owner,
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      scopes,
+      routes,
+      models,
+      allowedIps,
+      limits,
+      priority,
+      contentPolicy,
+      revoked: false,
+      revokedAt: null,
+      prefix: key.substring(0, 11),
+      hash: hashApiKey(key)
+    };
+
+    this.setKeys([...this.keys, record]);
+    return { key, record };
+  }
+
+  // Change fields of a key (see EDITABLE_FIELDS). Returns the updated record (null if not found).
+  // The record is replaced rather than modified, so nothing cached on the old one is reused.
+  update(idOrName, changes) {
+    const record = this.find(idOrName);
+    if (!record) {
+      return null;
+    }
+    const unknown = Object.keys(changes).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Cannot change ${unknown.map(field => `"${field}"`).join(', ')} (editable: ${EDITABLE_FIELDS.join(', ')})`);
+    }
+    if (changes.name !== undefined && (!changes.name || typeof changes.name !== 'string')) {
+      throw new Error('A key name is required');
+    }
+    if (changes.name && changes.name !== record.name &&
+        this.keys.some(other => other.name === changes.name && !other.revoked)) {
+      throw new Error(`An active key named "${changes.name}" already exists`);
+    }
+    validateFields(changes);
+
+    const updated = { ...record, ...changes };
+    if (changes.expiresAt !== undefined) {
+      updated.expiresAt = changes.expiresAt ? new Date(changes.expiresAt).toISOString() : null;
+    }
+    this.setKeys(this.keys.map(other => (other === record ? updated : other)));
+    return updated;
+  }
+
+  // Mark a key as revoked. Returns the updated record (null if not found).
+  revoke(idOrName) {
+    const record = this.find(idOrName);
+    if (!record) {
+      return null;
+    }
+    record.revoked = true;
+    record.revokedAt = new Date().toISOString();
+    return record;
+  }
+}
+
+// Check whether a record allows the given request path
+export function isRouteAllowed(record, path) {
+  if (!record.routes || record.routes.length === 0) {
+    return true;
+  }
+  return record.routes.some(route => path === route || path.startsWith(route.endsWith('/') ? route : `${route}/`));
+}
+
+// Check whether a record allows the given model (a missing model only passes when the
+// record has no model restriction)
+export function isModelAllowed(record, model) {
+  if (!record.models || record.models.length === 0) {
+    return true;
+  }
+  return record.models.includes(model);
+}
+
+// Check whether a record has a scope
+export function hasScope(record, scope) {
+  return (record.scopes || DEFAULT_SCOPES).includes(scope);
+}
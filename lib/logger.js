@@ -0,0 +1,211 @@
+import { createWriteStream, existsSync, mkdirSync, renameSync, statSync, unlinkSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { randomBytes } from 'crypto';
+
+// Structured logging
+// Every log line is one JSON object ({ time, level, msg, ...fields }) on stdout, so
+// overlapping requests can be told apart by requestId and logs can be shipped to a log
+// system. LOG_FORMAT=text prints a human-readable line instead (for local development).
+// With LOG_FILE set, lines are also appended to a file that is rotated by size.
+// Sinks (addSink) get every logged entry too, e.g. to keep recent errors for the dashboard.
+//
+// Secrets and prompt content are redacted by default (LOG_REDACT=false turns it off for
+// debugging): Authorization-like headers and fields become "[REDACTED]", and prompt
+// fields (messages, prompt, input, ...) are replaced by their length.
+
+export const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const SECRET_FIELDS = new Set([
+  'authorization',
+  'proxy-authorization',
+  'x-api-key',
+  'cookie',
+  'set-cookie',
+  'cf-access-jwt-assertion',
+  'api_key',
+  'apikey',
+  'password',
+  'token',
+  'secret'
+]);
+
+const CONTENT_FIELDS = new Set([
+  'messages',
+  'prompt',
+  'input',
+  'instructions',
+  'system',
+  'content',
+  'text',
+  'tools'
+]);
+
+// Replace secrets and prompt content in a value that is about to be logged
+export function redact(value, depth = 0) {
+  if (depth > 8 || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const name = key.toLowerCase();
+    if (SECRET_FIELDS.has(name)) {
+      result[key] = '[REDACTED]';
+    } else if (CONTENT_FIELDS.has(name) && item !== null && item !== undefined) {
+      const length = typeof item === 'string' ? item.length : JSON.stringify(item).length;
+      result[key] = `[REDACTED ${length} chars]`;
+    } else {
+      result[key] = redact(item, depth + 1);
+    }
+  }
+  return result;
+}
+
+// Errors don't serialize to JSON on their own
+function serializeError(err) {
+  return { name: err.name, message: err.message, code: err.code, stack: err.stack };
+}
+
+// Append-only log file, rotated to file.1 ... file.N when it grows past maxBytes
+export class RotatingFile {
+  constructor(filePath, { maxBytes = 10 * 1024 * 1024, maxFiles = 5 } = {}) {
+    this.filePath = resolve(filePath);
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    mkdirSync(dirname(this.filePath), { recursive: true });
+    this.size = existsSync(this.filePath) ? statSync(this.filePath).size : 0;
+    this.stream = this.open();
+  }
+
+  open() {
+    const stream = createWriteStream(this.filePath, { flags: 'a' });
+    stream.on('error', (err) => {
+      process.stderr.write(`Failed to write log file ${this.filePath}: ${err.message}\n`);
+    });
+    return stream;
+  }
+
+  // Pending writes on the old stream still land in the renamed file
+  rotate() {
+    this.stream.end();
+    if (this.maxFiles > 0) {
+      // Shifting onto file.N replaces the oldest file
+      for (let index = this.maxFiles - 1; index >= 1; index--) {
+        const from = `${this.filePath}.${index}`;
+        if (existsSync(from)) {
+          renameSync(from, `${this.filePath}.${index + 1}`);
+        }
+      }
+      renameSync(this.filePath, `${this.filePath}.1`);
+    } else {
+      unlinkSync(this.filePath);
+    }
+    this.size = 0;
+    this.stream = this.open();
+  }
+
+  write(line) {
+    const bytes = Buffer.byteLength(line);
+    if (this.maxBytes > 0 && this.size > 0 && this.size + bytes > this.maxBytes) {
+      try {
+        this.rotate();
+      } catch (err) {
+        process.stderr.write(`Failed to rotate log file ${this.filePath}: ${err.message}\n`);
+      }
+    }
+    this.size += bytes;
+    this.stream.write(line);
+  }
+}
+
+// Child loggers share their root's settings, so configure() applies everywhere
+export class Logger {
+  constructor({ fields = {}, root = null, ...settings } = {}) {
+    this.root = root || this;
+    this.fields = fields;
+    if (!root) {
+      this.sinks = [];
+      this.configure(settings);
+    }
+  }
+
+  // Call fn(entry) for every entry that is logged (after redaction)
+  addSink(fn) {
+    this.root.sinks.push(fn);
+  }
+
+  configure({ level = 'info', format = 'json', redact = true, file = null } = {}) {
+    if (!LEVELS.includes(level)) {
+      throw new Error(`Invalid log level "${level}": expected one of ${LEVELS.join(', ')}`);
+    }
+    this.root.settings = { level, format, redact, file };
+  }
+
+  // Logger that adds fields (e.g. requestId) to every line
+  child(fields) {
+    return new Logger({ root: this.root, fields: { ...this.fields, ...fields } });
+  }
+
+  isEnabled(level) {
+    return LEVELS.indexOf(level) >= LEVELS.indexOf(this.root.settings.level);
+  }
+
+  log(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+    const { format, redact: shouldRedact, file } = this.root.settings;
+    let entry = { time: new Date().toISOString(), level, msg, ...this.fields };
+    for (const [key, value] of Object.entries(fields)) {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+    if (shouldRedact) {
+      entry = redact(entry);
+    }
+
+    const json = JSON.stringify(entry) + '\n';
+    const output = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+    output.write(format === 'text' ? formatText(entry) : json);
+    file?.write(json);
+    for (const sink of this.root.sinks) {
+      sink(entry);
+    }
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+}
+
+// "2024-01-01T00:00:00.000Z INFO  message key=value ..."
+function formatText({ time, level, msg, ...fields }) {
+  const pairs = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${pairs.length > 0 ? ' ' + pairs.join(' ') : ''}\n`;
+}
+
+// Shared logger, configured by server.js from the environment
+export const logger = new Logger();
+
+// Request ids: reuse a sane incoming X-Request-Id, otherwise generate one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+export function requestIdFor(req) {
+  const incoming = req.headers['x-request-id'];
+  return incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : `req_${randomBytes(8).toString('hex')}`;
+}
@@ -0,0 +1,245 @@
+// Prometheus metrics
+// A small registry that renders the Prometheus text exposition format for GET /metrics.
+// Counters and histograms are updated as requests finish; gauges that mirror live state
+// (queue depth, upstream health) are read from a collect() callback at scrape time.
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+const TOKENS_PER_SECOND_BUCKETS = [1, 2, 5, 10, 20, 30, 50, 75, 100, 150, 200, 300];
+
+// Routes reported by name - anything else is "other" so arbitrary paths can't blow up
+// the number of time series
+const KNOWN_ROUTES = [
+  '/v1/chat/completions',
+  '/v1/completions',
+  '/v1/embeddings',
+  '/v1/messages',
+  '/v1/responses',
+  '/v1/models',
+  '/api/chat',
+  '/api/generate',
+  '/api/embed',
+  '/api/embeddings',
+  '/api/tags',
+  '/health',
+  '/metrics',
+  '/admin/usage'
+];
+
+// Other paths under these prefixes are reported as the prefix (e.g. all of /admin/keys/...
+// as "/admin"), so admin and dashboard traffic isn't lumped in with unknown paths
+const KNOWN_PREFIXES = ['/admin', '/ui'];
+
+export function routeLabel(path) {
+  if (KNOWN_ROUTES.includes(path)) {
+    return path;
+  }
+  return KNOWN_PREFIXES.find(prefix => path === prefix || path.startsWith(`${prefix}/`)) || 'other';
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Series are keyed by their label values, in labelNames order
+  seriesFor(labels, create) {
+    const values = this.labelNames.map(name => String(labels[name] ?? ''));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      const normalized = Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]]));
+      this.series.set(key, { labels: normalized, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`)];
+  }
+}
+
+// Gauge - set directly, or filled by collect() on every scrape
+export class Gauge extends Metric {
+  constructor(name, help, labelNames, collect = null) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels = {}, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  render() {
+    if (this.collect) {
+      this.series.clear();
+      this.collect(this);
+    }
+    return [...this.header(), ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`)];
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DURATION_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    if (!Number.isFinite(value)) {
+      return;
+    }
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+export class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return this.metrics.map(metric => metric.render().join('\n')).join('\n') + '\n';
+  }
+}
+
+// The proxy's metrics. Live gauges read from the request queue and upstream pool.
+export function createProxyMetrics({ queue, pool }) {
+  const registry = new Registry();
+  return {
+    registry,
+    requests: registry.register(new Counter(
+      'underpass_requests_total',
+      'Requests handled by the proxy',
+      ['route', 'method', 'status', 'key']
+    )),
+    requestDuration: registry.register(new Histogram(
+      'underpass_request_duration_seconds',
+      'Time from receiving a request to finishing the response',
+      ['route', 'method'],
+      DURATION_BUCKETS
+    )),
+    timeToFirstToken: registry.register(new Histogram(
+      'underpass_time_to_first_token_seconds',
+      'Time from receiving a streaming request to the first chunk from LM Studio',
+      ['route', 'model'],
+      DURATION_BUCKETS
+    )),
+    tokensPerSecond: registry.register(new Histogram(
+      'underpass_tokens_per_second',
+      'Completion tokens generated per second',
+      ['model'],
+      TOKENS_PER_SECOND_BUCKETS
+    )),
+    tokens: registry.register(new Counter(
+      'underpass_tokens_total',
+      'Tokens processed, by type (prompt or completion)',
+      ['key', 'model', 'type']
+    )),
+    upstreamErrors: registry.register(new Counter(
+      'underpass_upstream_errors_total',
+      'Failed requests to LM Studio, by type (timeout, refused or other)',
+      ['upstream', 'type']
+    )),
+    cacheRequests: registry.register(new Counter(
+      'underpass_cache_requests_total',
+      'Cacheable requests, by result (hit, miss or bypass)',
+      ['route', 'result']
+    )),
+    inFlight: registry.register(new Gauge(
+      'underpass_requests_in_flight',
+      'Requests currently being handled (including queued ones)'
+    )),
+    queued: registry.register(new Gauge(
+      'underpass_queue_depth',
+      'Requests waiting for a free upstream slot',
+      ['priority'],
+      (gauge) => {
+        for (const [priority, depth] of Object.entries(queue.status().byPriority)) {
+          gauge.set({ priority }, depth);
+        }
+      }
+    )),
+    upstreamUp: registry.register(new Gauge(
+      'underpass_upstream_up',
+      'Whether an upstream is available (1) or in cooldown after errors (0)',
+      ['upstream'],
+      (gauge) => {
+        for (const upstream of pool.upstreams) {
+          gauge.set({ upstream: upstream.name }, pool.isAvailable(upstream) ? 1 : 0);
+        }
+      }
+    )),
+    upstreamActive: registry.register(new Gauge(
+      'underpass_upstream_active_connections',
+      'Requests currently proxied to each upstream',
+      ['upstream'],
+      (gauge) => {
+        for (const upstream of pool.upstreams) {
+          gauge.set({ upstream: upstream.name }, upstream.activeConnections);
+        }
+      }
+    ))
+  };
+}
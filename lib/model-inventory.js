@@ -0,0 +1,159 @@
+import { logger } from './logger.js';
+
+// Model inventory across LM Studio upstreams
+// Polls GET /v1/models on every upstream so requests can be routed to a backend that
+// actually has the requested model, and so /v1/models can be answered with the merged list.
+// A successful poll also marks the upstream healthy; a connection failure marks it down.
+// LM Studio's REST API (/api/v0/models) is polled too when available, for each model's
+// load state - older LM Studio versions without it just report no load state.
+
+// Routes whose JSON body `model` field decides which upstream serves them
+export const MODEL_ROUTES = ['/v1/chat/completions', '/v1/completions', '/v1/embeddings'];
+
+export class ModelInventory {
+  constructor(pool, { intervalMs = 30000, timeoutMs = 5000 } = {}) {
+    this.pool = pool;
+    this.intervalMs = intervalMs;
+    this.timeoutMs = timeoutMs;
+    this.models = new Map();   // upstream -> { data: [model objects], details: Map(id -> /api/v0 info), updatedAt }
+    this.timer = null;
+  }
+
+  start() {
+    this.refresh();
+    if (this.intervalMs > 0) {
+      this.timer = setInterval(() => this.refresh(), this.intervalMs);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Poll every upstream in parallel
+  async refresh() {
+    await Promise.all(this.pool.upstreams.map(upstream => this.refreshUpstream(upstream)));
+  }
+
+  async refreshUpstream(upstream) {
+    try {
+      const response = await fetch(`${upstream.url}/v1/models`, {
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const body = await response.json();
+      const data = Array.isArray(body.data) ? body.data : [];
+      const details = await this.fetchDetails(upstream);
+      this.models.set(upstream, { data, details, updatedAt: new Date().toISOString() });
+      this.pool.markSuccess(upstream);
+    } catch (err) {
+      // fetch() wraps socket errors - the code (ECONNREFUSED, ...) is on err.cause
+      const cause = err.cause || err;
+      const code = err.name === 'TimeoutError' ? 'ETIMEDOUT' : cause.code;
+      logger.warn('Failed to list models', { upstream: upstream.name, target: upstream.url, code, reason: err.message });
+      this.pool.markFailure(upstream, { code, message: cause.message || err.message });
+    }
+  }
+
+  // Model details from LM Studio's REST API (state, max_context_length, ...)
+  // Returns an empty Map if the upstream doesn't support /api/v0/models.
+  async fetchDetails(upstream) {
+    try {
+      const response = await fetch(`${upstream.url}/api/v0/models`, {
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      if (!response.ok) {
+        return new Map();
+      }
+      const body = await response.json();
+      return new Map((body.data || []).map(model => [model.id, model]));
+    } catch (err) {
+      return new Map();
+    }
+  }
+
+  // Drop the models of an upstream that was removed from the pool
+  forget(upstream) {
+    this.models.delete(upstream);
+  }
+
+  // Whether any upstream has reported its models yet
+  get isPopulated() {
+    return this.models.size > 0;
+  }
+
+  // Model ids served by an upstream (null if never polled successfully)
+  modelsFor(upstream) {
+    return this.models.get(upstream)?.data.map(model => model.id) || null;
+  }
+
+  // Upstreams that list the given model (empty if none do)
+  upstreamsFor(model) {
+    return this.pool.upstreams.filter(upstream => this.modelsFor(upstream)?.includes(model));
+  }
+
+  // Details for a model on an upstream (null if unknown)
+  detailsFor(upstream, model) {
+    return this.models.get(upstream)?.details.get(model) || null;
+  }
+
+  // Details for a model from the first upstream that reports them (null if none do)
+  modelDetails(model) {
+    for (const upstream of this.upstreamsFor(model)) {
+      const details = this.detailsFor(upstream, model);
+      if (details) {
+        return details;
+      }
+    }
+    return null;
+  }
+
+  // A model that is loaded on an available upstream, for the "@loaded" alias
+  // Falls back to the first listed model when no upstream reports load state.
+  anyLoadedModel() {
+    const upstreams = this.pool.accepting.filter(upstream => this.pool.isAvailable(upstream));
+    for (const upstream of upstreams) {
+      for (const [id, details] of this.models.get(upstream)?.details || []) {
+        if (details.state === 'loaded') {
+          return id;
+        }
+      }
+    }
+    for (const upstream of upstreams) {
+      const first = this.models.get(upstream)?.data[0];
+      if (first) {
+        return first.id;
+      }
+    }
+    return null;
+  }
+
+  // Merged, de-duplicated /v1/models response across all upstreams
+  mergedList() {
+    const seen = new Map();
+    for (const upstream of this.pool.upstreams) {
+      for (const model of this.models.get(upstream)?.data || []) {
+        if (!seen.has(model.id)) {
+          seen.set(model.id, model);
+        }
+      }
+    }
+    return { object: 'list', data: [...seen.values()] };
+  }
+
+  // Per-upstream model lists for /health
+  status() {
+    return this.pool.upstreams.map(upstream => ({
+      name: upstream.name,
+      models: this.modelsFor(upstream),
+      loadedModels: [...(this.models.get(upstream)?.details || [])]
+        .filter(([, details]) => details.state === 'loaded')
+        .map(([id]) => id),
+      updatedAt: this.models.get(upstream)?.updatedAt || null
+    }));
+  }
+}
@@ -0,0 +1,379 @@
+import { translateRequest, errorMessage } from './api-adapter.js';
+
+// Ollama API (/api/chat, /api/generate, /api/embed, /api/embeddings, /api/tags) on top of
+// LM Studio's OpenAI-compatible endpoints, for tools that only speak Ollama.
+// Requests are translated to /v1/chat/completions or /v1/embeddings (see lib/api-adapter.js):
+//
+//   - base64 `images` become image_url content parts
+//   - assistant `tool_calls` get ids, and `tool` messages answer them in order
+//   - `format` ("json" or a JSON schema) becomes response_format
+//   - `options` (temperature, top_p, top_k, seed, stop, num_predict, ...) map onto their
+//     chat completion counterparts
+//   - `stream` defaults to true, as in Ollama
+//
+// Streams come back as newline-delimited JSON, ending with a `done: true` line that
+// carries done_reason and token counts. Errors use Ollama's { error } shape.
+
+export const OLLAMA_PATHS = {
+  chat: '/api/chat',
+  generate: '/api/generate',
+  embed: '/api/embed',
+  embeddings: '/api/embeddings'
+};
+
+// Ollama option -> chat completion parameter
+const OPTIONS = {
+  temperature: 'temperature',
+  top_p: 'top_p',
+  top_k: 'top_k',
+  min_p: 'min_p',
+  seed: 'seed',
+  stop: 'stop',
+  num_predict: 'max_tokens',
+  repeat_penalty: 'repeat_penalty',
+  presence_penalty: 'presence_penalty',
+  frequency_penalty: 'frequency_penalty'
+};
+
+const DONE_REASONS = {
+  stop: 'stop',
+  length: 'length',
+  tool_calls: 'stop',
+  function_call: 'stop'
+};
+
+export class OllamaRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OllamaRequestError';
+  }
+}
+
+// Ollama sends bare base64 images; LM Studio wants data URLs
+function imagePart(image) {
+  const mediaType = image.startsWith('/9j/') ? 'image/jpeg' : image.startsWith('R0lGOD') ? 'image/gif' : 'image/png';
+  return { type: 'image_url', image_url: { url: image.startsWith('data:') ? image : `data:${mediaType};base64,${image}` } };
+}
+
+function chatContent(text, images) {
+  if (!Array.isArray(images) || images.length === 0) {
+    return text ?? '';
+  }
+  return [...(text ? [{ type: 'text', text }] : []), ...images.map(imagePart)];
+}
+
+// Ollama messages -> chat messages
+// Ollama tool calls have no ids, so each gets one and tool results take them in order.
+function toChatMessages(messages) {
+  let callCount = 0;
+  const pendingCalls = [];
+  return messages.map((message, index) => {
+    if (!message || !['system', 'user', 'assistant', 'tool'].includes(message.role)) {
+      throw new OllamaRequestError(`messages.${index}.role must be "system", "user", "assistant" or "tool"`);
+    }
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: pendingCalls.shift() || `call_${callCount++}`, content: message.content ?? '' };
+    }
+    const chat = { role: message.role, content: chatContent(message.content, message.images) };
+    if (message.role === 'assistant' && Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+      chat.tool_calls = message.tool_calls.map((call) => {
+        const id = `call_${callCount++}`;
+        pendingCalls.push(id);
+        const args = call.function?.arguments;
+        return {
+          id,
+          type: 'function',
+          function: { name: call.function?.name, arguments: typeof args === 'string' ? args : JSON.stringify(args ?? {}) }
+        };
+      });
+      if (!chat.content) {
+        chat.content = null;
+      }
+    }
+    return chat;
+  });
+}
+
+function toResponseFormat(format) {
+  if (format === 'json') {
+    return { type: 'json_schema', json_schema: { name: 'response', schema: { type: 'object' } } };
+  }
+  if (format && typeof format === 'object') {
+    return { type: 'json_schema', json_schema: { name: 'response', strict: true, schema: format } };
+  }
+  throw new OllamaRequestError('format must be "json" or a JSON schema');
+}
+
+// Fields shared by /api/chat and /api/generate
+function applyCommon(chat, body) {
+  for (const [name, param] of Object.entries(OPTIONS)) {
+    const value = body.options?.[name];
+    if (value === undefined || (name === 'num_predict' && value < 0)) {
+      continue; // num_predict -1 means no limit
+    }
+    chat[param] = value;
+  }
+  if (body.format) {
+    chat.response_format = toResponseFormat(body.format);
+  }
+  if (body.stream !== false) {
+    chat.stream = true;
+    chat.stream_options = { include_usage: true };
+  }
+  return chat;
+}
+
+// Translate an /api/chat body into a /v1/chat/completions body. Throws OllamaRequestError.
+export function fromChatRequest(body) {
+  if (!Array.isArray(body.messages)) {
+    throw new OllamaRequestError('messages must be an array');
+  }
+  const chat = { model: body.model, messages: toChatMessages(body.messages) };
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    chat.tools = body.tools;
+  }
+  return applyCommon(chat, body);
+}
+
+// Translate an /api/generate body into a /v1/chat/completions body. Throws OllamaRequestError.
+export function fromGenerateRequest(body) {
+  if (typeof body.prompt !== 'string') {
+    throw new OllamaRequestError('prompt must be a string');
+  }
+  const messages = [];
+  if (body.system) {
+    messages.push({ role: 'system', content: body.system });
+  }
+  messages.push({ role: 'user', content: chatContent(body.prompt, body.images) });
+  return applyCommon({ model: body.model, messages }, body);
+}
+
+// Translate an /api/embed (input) or /api/embeddings (prompt) body into a /v1/embeddings body
+export function fromEmbedRequest(body, legacy) {
+  const input = legacy ? body.prompt : body.input;
+  if (typeof input !== 'string' && !(Array.isArray(input) && input.every(item => typeof item === 'string'))) {
+    throw new OllamaRequestError(legacy ? 'prompt must be a string' : 'input must be a string or an array of strings');
+  }
+  return { model: body.model, input };
+}
+
+function parseArguments(text) {
+  try {
+    const args = JSON.parse(text || '{}');
+    return args && typeof args === 'object' ? args : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function toToolCalls(calls) {
+  return calls.map(call => ({ function: { name: call.function?.name, arguments: parseArguments(call.function?.arguments) } }));
+}
+
+function doneFields(finishReason, usage) {
+  return {
+    done: true,
+    done_reason: DONE_REASONS[finishReason] || 'stop',
+    prompt_eval_count: usage?.prompt_tokens || 0,
+    eval_count: usage?.completion_tokens || 0
+  };
+}
+
+function createdAt(completion) {
+  return completion.created ? new Date(completion.created * 1000).toISOString() : new Date().toISOString();
+}
+
+// chat.completion -> /api/chat response
+export function toChatResponse(completion) {
+  const choice = completion.choices?.[0] || {};
+  const message = { role: 'assistant', content: choice.message?.content || '' };
+  if (choice.message?.tool_calls?.length > 0) {
+    message.tool_calls = toToolCalls(choice.message.tool_calls);
+  }
+  return {
+    model: completion.model,
+    created_at: createdAt(completion),
+    message,
+    ...doneFields(choice.finish_reason, completion.usage)
+  };
+}
+
+// chat.completion -> /api/generate response
+export function toGenerateResponse(completion) {
+  const choice = completion.choices?.[0] || {};
+  return {
+    model: completion.model,
+    created_at: createdAt(completion),
+    response: choice.message?.content || '',
+    ...doneFields(choice.finish_reason, completion.usage)
+  };
+}
+
+function line(data) {
+  return `${JSON.stringify(data)}\n`;
+}
+
+// Translates chat.completion.chunk events into Ollama's JSON lines
+// Tool call arguments arrive in pieces, so calls are sent whole just before the done line.
+function createLineStream(field) {
+  let model = null;
+  let finishReason = null;
+  let usage = null;
+  const toolCalls = [];
+
+  const lineFor = (content, extra = {}) => {
+    const data = { model, created_at: new Date().toISOString() };
+    if (field === 'message') {
+      data.message = { role: 'assistant', content, ...extra };
+    } else {
+      data.response = content;
+    }
+    return data;
+  };
+
+  return {
+    translate(chunk) {
+      model = chunk.model || model;
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+      const choice = chunk.choices?.[0];
+      if (!choice) {
+        return '';
+      }
+      for (const call of choice.delta?.tool_calls || []) {
+        const index = call.index ?? 0;
+        toolCalls[index] ??= { function: { name: '', arguments: '' } };
+        toolCalls[index].function.name += call.function?.name || '';
+        toolCalls[index].function.arguments += call.function?.arguments || '';
+      }
+      if (choice.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+      return choice.delta?.content ? line({ ...lineFor(choice.delta.content), done: false }) : '';
+    },
+
+    finish() {
+      let output = '';
+      const calls = toolCalls.filter(Boolean);
+      if (field === 'message' && calls.length > 0) {
+        output += line({ ...lineFor('', { tool_calls: toToolCalls(calls) }), done: false });
+      }
+      return output + line({ ...lineFor(''), ...doneFields(finishReason, usage) });
+    }
+  };
+}
+
+export function toOllamaError(status, body) {
+  if (typeof body?.error === 'string' && !body.message) {
+    return body;
+  }
+  return { error: errorMessage(body) };
+}
+
+const STREAM_FORMAT = {
+  streamContentType: 'application/x-ndjson',
+  keepAliveMode: 'ndjson',
+  toError: toOllamaError,
+  streamError: error => line(error)
+};
+
+export const OLLAMA_CHAT_FORMAT = {
+  ...STREAM_FORMAT,
+  toResponse: toChatResponse,
+  createStream: () => createLineStream('message')
+};
+
+export const OLLAMA_GENERATE_FORMAT = {
+  ...STREAM_FORMAT,
+  toResponse: toGenerateResponse,
+  createStream: () => createLineStream('response')
+};
+
+export const OLLAMA_EMBED_FORMAT = {
+  ...STREAM_FORMAT,
+  toResponse: list => ({
+    model: list.model,
+    embeddings: (list.data || []).map(item => item.embedding),
+    prompt_eval_count: list.usage?.prompt_tokens || 0
+  })
+};
+
+export const OLLAMA_EMBEDDINGS_FORMAT = {
+  ...STREAM_FORMAT,
+  toResponse: list => ({ embedding: list.data?.[0]?.embedding || [] })
+};
+
+// GET /api/tags body from the model list. detailsOf(id) returns LM Studio's /api/v0
+// details for a model (architecture, quantization, ...) or null.
+export function toOllamaTags(models, detailsOf) {
+  return {
+    models: models.map((model) => {
+      const details = detailsOf(model.id) || {};
+      return {
+        name: model.id,
+        model: model.id,
+        modified_at: new Date((model.created || 0) * 1000).toISOString(),
+        size: 0,
+        digest: '',
+        details: {
+          parent_model: '',
+          format: details.compatibility_type || 'gguf',
+          family: details.arch || '',
+          families: details.arch ? [details.arch] : null,
+          parameter_size: '',
+          quantization_level: details.quantization || ''
+        }
+      };
+    })
+  };
+}
+
+const ROUTES = {
+  [OLLAMA_PATHS.chat]: { translate: fromChatRequest, format: OLLAMA_CHAT_FORMAT },
+  [OLLAMA_PATHS.generate]: { translate: fromGenerateRequest, format: OLLAMA_GENERATE_FORMAT },
+  [OLLAMA_PATHS.embed]: { translate: body => fromEmbedRequest(body, false), format: OLLAMA_EMBED_FORMAT, path: '/v1/embeddings' },
+  [OLLAMA_PATHS.embeddings]: { translate: body => fromEmbedRequest(body, true), format: OLLAMA_EMBEDDINGS_FORMAT, path: '/v1/embeddings' }
+};
+
+// Ollama clients (and Ollama's own curl examples) often send JSON without a JSON content type
+export function isOllamaRequest(req) {
+  return req.method === 'POST' && Boolean(ROUTES[req.path]);
+}
+
+// Ollama answers a generate/chat request without a prompt by just loading the model
+function isLoadRequest(req) {
+  return (req.path === OLLAMA_PATHS.generate && !req.body.prompt && !req.body.images) ||
+    (req.path === OLLAMA_PATHS.chat && Array.isArray(req.body.messages) && req.body.messages.length === 0);
+}
+
+// Middleware: accept POST /api/chat, /api/generate, /api/embed and /api/embeddings and
+// hand them on as OpenAI requests. Must run after bufferJsonBody and before model aliases.
+export const ollamaApi = () => (req, res, next) => {
+  if (!isOllamaRequest(req)) {
+    return next();
+  }
+  const route = ROUTES[req.path];
+  if (!req.body || typeof req.body !== 'object') {
+    return res.status(400).json({ error: 'The request body must be a JSON object' });
+  }
+  if (typeof req.body.model !== 'string' || !req.body.model) {
+    return res.status(400).json({ error: 'model is required' });
+  }
+  if (isLoadRequest(req)) {
+    const loaded = { model: req.body.model, created_at: new Date().toISOString(), done: true, done_reason: 'load' };
+    return res.json(req.path === OLLAMA_PATHS.chat ? { ...loaded, message: { role: 'assistant', content: '' } } : { ...loaded, response: '' });
+  }
+
+  let body;
+  try {
+    body = route.translate(req.body);
+  } catch (err) {
+    if (err instanceof OllamaRequestError) {
+      return res.status(400).json({ error: err.message });
+    }
+    throw err;
+  }
+  translateRequest(req, res, { body, format: route.format, path: route.path });
+  next();
+};
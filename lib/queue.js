@@ -0,0 +1,219 @@
+import { logger } from './logger.js';
+
+// Request queue in front of the LM Studio upstreams
+// LM Studio handles requests roughly one at a time, so each upstream gets a max number of
+// concurrent requests (UPSTREAM_MAX_CONCURRENCY, or per upstream in LM_STUDIO_UPSTREAMS).
+// When every suitable upstream is busy, requests wait in a bounded queue ordered by the
+// API key's priority class, then by arrival. A slot freed on an upstream goes to the
+// first waiting request that can use that upstream.
+
+export const PRIORITIES = ['high', 'normal', 'low'];
+export const DEFAULT_PRIORITY = 'normal';
+
+const WAIT_SAMPLE_SIZE = 200; // recent wait times kept for /health stats
+
+export class QueueFullError extends Error {
+  constructor(depth, maxLength) {
+    super(`Request queue is full: ${depth} requests waiting (max ${maxLength}), this request would be at position ${depth + 1}. Please retry later.`);
+    this.name = 'QueueFullError';
+    this.depth = depth;
+  }
+}
+
+export class QueueTimeoutError extends Error {
+  constructor(waitedMs, position) {
+    super(`Timed out after ${Math.round(waitedMs / 1000)}s waiting for a free LM Studio slot (still at queue position ${position}). Please retry later.`);
+    this.name = 'QueueTimeoutError';
+    this.position = position;
+  }
+}
+
+export class QueueAbortedError extends Error {
+  constructor() {
+    super('Client disconnected while waiting in the queue');
+    this.name = 'QueueAbortedError';
+  }
+}
+
+function priorityRank(priority) {
+  const rank = PRIORITIES.indexOf(priority || DEFAULT_PRIORITY);
+  return rank === -1 ? PRIORITIES.indexOf(DEFAULT_PRIORITY) : rank;
+}
+
+export class RequestQueue {
+  constructor(pool, { maxConcurrency = 0, maxLength = 100, maxWaitMs = 60000 } = {}) {
+    this.pool = pool;
+    this.configure({ maxConcurrency, maxLength, maxWaitMs });
+    this.waiters = [];
+    this.waitSamples = [];
+    this.totals = { queued: 0, dequeued: 0, rejected: 0, timedOut: 0, aborted: 0 };
+  }
+
+  // Change limits (config reload). Requests already waiting keep their timeout.
+  configure({ maxConcurrency, maxLength, maxWaitMs }) {
+    this.maxConcurrency = maxConcurrency;
+    this.maxLength = maxLength;
+    this.maxWaitMs = maxWaitMs;
+  }
+
+  // Max concurrent requests for an upstream (0 = unlimited)
+  limitFor(upstream) {
+    return upstream.maxConcurrency ?? this.maxConcurrency;
+  }
+
+  hasCapacity(upstream) {
+    const limit = this.limitFor(upstream);
+    return !limit || upstream.activeConnections < limit;
+  }
+
+  // Upstreams a request may use at all (not draining, not yet tried, serving its model)
+  candidatesFor({ exclude, allowed }) {
+    return this.pool.accepting.filter(upstream =>
+      !exclude.includes(upstream) && (!allowed || allowed.includes(upstream))
+    );
+  }
+
+  // Pick an upstream with a free slot, or null if all suitable ones are busy
+  // Available (not down) upstreams are preferred; down ones are only used when nothing else is left.
+  trySelect(request) {
+    const candidates = this.candidatesFor(request);
+    const available = candidates.filter(upstream => this.pool.isAvailable(upstream));
+    const withCapacity = (available.length > 0 ? available : candidates).filter(upstream => this.hasCapacity(upstream));
+    return withCapacity.length > 0 ? this.pool.select(request.exclude, withCapacity) : null;
+  }
+
+  // Take a slot on an upstream. Returns a release() function that also wakes the queue.
+  take(upstream) {
+    const releaseConnection = this.pool.acquire(upstream);
+    let released = false;
+    return () => {
+      if (!released) {
+        released = true;
+        releaseConnection();
+        this.dispatch();
+      }
+    };
+  }
+
+  // Wait for a slot on a suitable upstream
+  // Resolves { upstream, release } - or null when no untried upstream is left.
+  // Rejects with QueueFullError, QueueTimeoutError or QueueAbortedError.
+  acquire({ exclude = [], allowed = null, priority = DEFAULT_PRIORITY, signal = null, log = logger } = {}) {
+    // The client may be gone already (e.g. before a failover retry) - its abort event won't fire again
+    if (signal?.aborted) {
+      this.totals.aborted += 1;
+      return Promise.reject(new QueueAbortedError());
+    }
+
+    const request = { exclude, allowed };
+    if (this.candidatesFor(request).length === 0) {
+      return Promise.resolve(null);
+    }
+
+    const upstream = this.trySelect(request);
+    if (upstream) {
+      return Promise.resolve({ upstream, release: this.take(upstream), waitedMs: 0 });
+    }
+
+    if (this.waiters.length >= this.maxLength) {
+      this.totals.rejected += 1;
+      return Promise.reject(new QueueFullError(this.waiters.length, this.maxLength));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        ...request,
+        rank: priorityRank(priority),
+        priority: PRIORITIES[priorityRank(priority)],
+        enqueuedAt: Date.now(),
+        resolve,
+        reject,
+        timer: null
+      };
+
+      const remove = () => {
+        clearTimeout(waiter.timer);
+        const index = this.waiters.indexOf(waiter);
+        if (index !== -1) {
+          this.waiters.splice(index, 1);
+        }
+        return index;
+      };
+
+      if (this.maxWaitMs > 0) {
+        waiter.timer = setTimeout(() => {
+          const position = remove() + 1;
+          this.totals.timedOut += 1;
+          reject(new QueueTimeoutError(Date.now() - waiter.enqueuedAt, position));
+        }, this.maxWaitMs);
+      }
+
+      signal?.addEventListener('abort', () => {
+        if (remove() !== -1) {
+          this.totals.aborted += 1;
+          reject(new QueueAbortedError());
+        }
+      }, { once: true });
+
+      waiter.dispatch = (upstream) => {
+        remove();
+        const waitedMs = Date.now() - waiter.enqueuedAt;
+        this.recordWait(waitedMs);
+        resolve({ upstream, release: this.take(upstream), waitedMs });
+      };
+
+      // Insert after every waiter of the same or higher priority
+      const index = this.waiters.findIndex(other => other.rank > waiter.rank);
+      this.waiters.splice(index === -1 ? this.waiters.length : index, 0, waiter);
+      this.totals.queued += 1;
+      log.info('Queued', { priority: waiter.priority, position: this.positionOf(waiter), depth: this.waiters.length });
+    });
+  }
+
+  positionOf(waiter) {
+    return this.waiters.indexOf(waiter) + 1;
+  }
+
+  // Hand free slots to waiting requests, in queue order
+  dispatch() {
+    for (const waiter of [...this.waiters]) {
+      const upstream = this.trySelect(waiter);
+      if (upstream) {
+        waiter.dispatch(upstream);
+      }
+    }
+  }
+
+  recordWait(waitedMs) {
+    this.totals.dequeued += 1;
+    this.waitSamples.push(waitedMs);
+    if (this.waitSamples.length > WAIT_SAMPLE_SIZE) {
+      this.waitSamples.shift();
+    }
+  }
+
+  // Queue stats for /health
+  status() {
+    const now = Date.now();
+    const sorted = [...this.waitSamples].sort((a, b) => a - b);
+    const percentile = (p) => (sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] : 0);
+    return {
+      depth: this.waiters.length,
+      byPriority: Object.fromEntries(PRIORITIES.map(priority => [
+        priority,
+        this.waiters.filter(waiter => waiter.priority === priority).length
+      ])),
+      oldestWaitMs: this.waiters.length > 0 ? Math.max(...this.waiters.map(waiter => now - waiter.enqueuedAt)) : 0,
+      maxLength: this.maxLength,
+      maxWaitMs: this.maxWaitMs,
+      maxConcurrency: this.maxConcurrency,
+      recentWaitMs: {
+        samples: sorted.length,
+        avg: sorted.length > 0 ? Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : 0,
+        p95: percentile(0.95),
+        max: sorted.length > 0 ? sorted[sorted.length - 1] : 0
+      },
+      totals: { ...this.totals }
+    };
+  }
+}
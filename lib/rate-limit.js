@@ -0,0 +1,213 @@
+import { sendOpenAIError } from './errors.js';
+
+// Per-key rate limiting and daily token budgets
+// Limits come from the defaults passed to the RateLimiter (env vars in server.js)
+// and can be overridden per key with a `limits` object in the key store:
+//
+//   "limits": {
+//     "rpm": 60,                       // requests per minute (sliding window)
+//     "concurrent": 2,                 // requests in flight at once
+//     "dailyPromptTokens": 500000,     // prompt tokens per UTC day
+//     "dailyCompletionTokens": 100000, // completion tokens per UTC day
+//     "maxTokens": 4096,               // max_tokens per request (see lib/request-validation.js)
+//     "maxN": 1                        // choices (n) per request
+//   }
+//
+// A limit of 0 or null means unlimited.
+
+const WINDOW_MS = 60 * 1000;
+
+export const LIMIT_NAMES = ['rpm', 'concurrent', 'dailyPromptTokens', 'dailyCompletionTokens', 'maxTokens', 'maxN'];
+
+// Check a limits object (defaults or a key's overrides). Throws on unknown names or bad values.
+export function validateLimits(limits) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    throw new Error('Limits must be an object');
+  }
+  for (const [name, value] of Object.entries(limits)) {
+    if (!LIMIT_NAMES.includes(name)) {
+      throw new Error(`Unknown limit "${name}" (expected ${LIMIT_NAMES.join(', ')})`);
+    }
+    if (value !== null && (!Number.isInteger(value) || value < 0)) {
+      throw new Error(`Invalid value for limit "${name}": must be a non-negative integer or null`);
+    }
+  }
+  return limits;
+}
+
+// Format a duration the way OpenAI does in x-ratelimit-reset-* headers (e.g. "1m30s", "250ms")
+export function formatResetDuration(ms) {
+  if (ms < 1000) {
+    return `${Math.max(0, Math.ceil(ms))}ms`;
+  }
+  const totalSeconds = Math.ceil(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${hours ? `${hours}h` : ''}${hours || minutes ? `${minutes}m` : ''}${seconds}s`;
+}
+
+// UTC day key used for daily budgets, e.g. "2025-01-31"
+export function dayKey(date = new Date()) {
+  return date.toISOString().substring(0, 10);
+}
+
+function msUntilNextUtcDay(now = Date.now()) {
+  const next = new Date(now);
+  next.setUTCHours(24, 0, 0, 0);
+  return next.getTime() - now;
+}
+
+export class RateLimiter {
+  constructor(defaults = {}) {
+    this.defaults = defaults;
+    this.requestLog = new Map();   // keyId -> [timestamps within the last minute]
+    this.inFlight = new Map();     // keyId -> count
+    this.tokens = new Map();       // keyId -> { day, prompt, completion }
+  }
+
+  // Effective limits for a key record (per-key overrides win over defaults)
+  limitsFor(keyRecord) {
+    const limits = {};
+    for (const name of LIMIT_NAMES) {
+      const override = keyRecord?.limits?.[name];
+      limits[name] = override !== undefined && override !== null ? Number(override) : Number(this.defaults[name] || 0);
+    }
+    return limits;
+  }
+
+  recentRequests(keyId, now = Date.now()) {
+    const log = (this.requestLog.get(keyId) || []).filter(time => now - time < WINDOW_MS);
+    this.requestLog.set(keyId, log);
+    return log;
+  }
+
+  tokenUsage(keyId, day = dayKey()) {
+    const usage = this.tokens.get(keyId);
+    if (!usage || usage.day !== day) {
+      const fresh = { day, prompt: 0, completion: 0 };
+      this.tokens.set(keyId, fresh);
+      return fresh;
+    }
+    return usage;
+  }
+
+  // Add token usage for a key (called when a response's usage block is seen)
+  recordUsage(keyId, { promptTokens = 0, completionTokens = 0 }, date = new Date()) {
+    const usage = this.tokenUsage(keyId, dayKey(date));
+    usage.prompt += promptTokens;
+    usage.completion += completionTokens;
+  }
+
+  // Check all limits for a key without consuming anything
+  // Returns { allowed, reason, retryAfterMs, headers }
+  check(keyRecord, now = Date.now()) {
+    const keyId = keyRecord.id;
+    const limits = this.limitsFor(keyRecord);
+    const headers = {};
+
+    const log = this.recentRequests(keyId, now);
+    const requestResetMs = log.length > 0 ? WINDOW_MS - (now - log[0]) : WINDOW_MS;
+    if (limits.rpm > 0) {
+      headers['x-ratelimit-limit-requests'] = String(limits.rpm);
+      headers['x-ratelimit-remaining-requests'] = String(Math.max(0, limits.rpm - log.length - 1));
+      headers['x-ratelimit-reset-requests'] = formatResetDuration(requestResetMs);
+    }
+
+    // Report whichever daily token budget has the least remaining
+    const usage = this.tokenUsage(keyId, dayKey(new Date(now)));
+    const tokenResetMs = msUntilNextUtcDay(now);
+    const budgets = [
+      { limit: limits.dailyPromptTokens, used: usage.prompt, kind: 'prompt' },
+      { limit: limits.dailyCompletionTokens, used: usage.completion, kind: 'completion' }
+    ].filter(budget => budget.limit > 0);
+    if (budgets.length > 0) {
+      const tightest = budgets.reduce((a, b) => (a.limit - a.used <= b.limit - b.used ? a : b));
+      headers['x-ratelimit-limit-tokens'] = String(tightest.limit);
+      headers['x-ratelimit-remaining-tokens'] = String(Math.max(0, tightest.limit - tightest.used));
+      headers['x-ratelimit-reset-tokens'] = formatResetDuration(tokenResetMs);
+    }
+
+    if (limits.rpm > 0 && log.length >= limits.rpm) {
+      return {
+        allowed: false,
+        type: 'requests',
+        reason: `Rate limit reached for requests: limit ${limits.rpm} per minute. Please try again in ${formatResetDuration(requestResetMs)}.`,
+        retryAfterMs: requestResetMs,
+        headers
+      };
+    }
+
+    const inFlight = this.inFlight.get(keyId) || 0;
+    if (limits.concurrent > 0 && inFlight >= limits.concurrent) {
+      return {
+        allowed: false,
+        type: 'requests',
+        reason: `Too many concurrent requests: limit ${limits.concurrent} in flight. Please retry after a current request finishes.`,
+        retryAfterMs: 1000,
+        headers
+      };
+    }
+
+    const exhausted = budgets.find(budget => budget.used >= budget.limit);
+    if (exhausted) {
+      return {
+        allowed: false,
+        type: 'tokens',
+        reason: `Daily ${exhausted.kind} token budget exhausted: used ${exhausted.used} of ${exhausted.limit}. The budget resets at 00:00 UTC.`,
+        retryAfterMs: tokenResetMs,
+        headers
+      };
+    }
+
+    return { allowed: true, headers };
+  }
+
+  // Record the start of a request. Returns a release() function for when it ends.
+  acquire(keyId, now = Date.now()) {
+    this.recentRequests(keyId, now).push(now);
+    this.inFlight.set(keyId, (this.inFlight.get(keyId) || 0) + 1);
+
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      const count = (this.inFlight.get(keyId) || 1) - 1;
+      if (count > 0) {
+        this.inFlight.set(keyId, count);
+      } else {
+        this.inFlight.delete(keyId);
+      }
+    };
+  }
+}
+
+// Middleware: enforce limits for req.apiKey before the request is proxied
+// Rejections are OpenAI-style 429s with Retry-After so SDK retry logic kicks in.
+export const rateLimit = (limiter) => (req, res, next) => {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  const result = limiter.check(req.apiKey);
+  for (const [name, value] of Object.entries(result.headers)) {
+    res.setHeader(name, value);
+  }
+
+  if (!result.allowed) {
+    req.log.warn('Rate limited', { keyName: req.apiKey.name, limit: result.type, reason: result.reason });
+    return sendOpenAIError(res, 429, {
+      message: result.reason,
+      type: result.type,
+      code: 'rate_limit_exceeded',
+      headers: { 'Retry-After': String(Math.max(1, Math.ceil(result.retryAfterMs / 1000))) }
+    });
+  }
+
+  const release = limiter.acquire(req.apiKey.id);
+  res.once('close', release);
+  res.once('finish', release);
+  next();
+};
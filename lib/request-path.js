@@ -0,0 +1,50 @@
+import { proxyErrorBody } from './errors.js';
+
+// Request path canonicalization
+// Key route restrictions, model restrictions, request validation, token budgets, ... all
+// compare req.path with known routes. A path like "/v1//chat/completions",
+// "/v1/embeddings/../chat/completions" or "/v1/%63hat/completions" would skip them and
+// still reach LM Studio's chat endpoint. So proxied requests get one canonical path before
+// any check runs, and that path is what's forwarded:
+//
+// - empty segments ("//", a trailing "/") are dropped
+// - percent-encoding is normalized (each segment is decoded and encoded again)
+// - dot segments ("." and "..", encoded or not), encoded slashes and backslashes and
+//   invalid percent-encoding are rejected with a 400
+
+// The canonical form of a path (without query string), or null if it's rejected
+export function canonicalPath(path) {
+  const segments = [];
+  for (const segment of path.split('/')) {
+    if (!segment) {
+      continue;
+    }
+    let decoded;
+    try {
+      decoded = decodeURIComponent(segment);
+    } catch (err) {
+      return null;
+    }
+    if (decoded === '.' || decoded === '..' || /[/\\\0]/.test(decoded)) {
+      return null;
+    }
+    segments.push(encodeURIComponent(decoded));
+  }
+  return `/${segments.join('/')}`;
+}
+
+// Middleware: canonicalize the request path (runs before authentication)
+export const canonicalizePath = () => (req, res, next) => {
+  const queryStart = req.url.indexOf('?');
+  const path = queryStart === -1 ? req.url : req.url.substring(0, queryStart);
+  const canonical = canonicalPath(path);
+  if (canonical === null) {
+    req.log.warn('Rejected request path', { path });
+    return res.status(400).json(proxyErrorBody(400, `Invalid request path: ${path}`, { code: 'invalid_path' }));
+  }
+  if (canonical !== path) {
+    req.url = canonical + (queryStart === -1 ? '' : req.url.substring(queryStart));
+    req.originalUrl = req.url; // http-proxy-middleware forwards originalUrl
+  }
+  next();
+};
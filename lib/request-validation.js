@@ -0,0 +1,319 @@
+import Ajv from 'ajv';
+import { openAIError } from './errors.js';
+
+// Request validation
+// Without it malformed bodies go to LM Studio and come back as errors that don't say what's
+// wrong. Bodies for the routes below are checked against (the parts LM Studio uses of) the
+// OpenAI request schemas first, and rejected with a 400 `invalid_request_error` naming the
+// parameter, as OpenAI does:
+//
+//   { "error": { "message": "Invalid value for 'temperature': must be <= 2.",
+//                "type": "invalid_request_error", "param": "temperature", "code": "invalid_value" } }
+//
+// Parameters that aren't in the schemas (LM Studio's top_k, ttl, draft_model, ...) pass
+// through unchecked. The per-key `maxTokens` and `maxN` limits (see lib/rate-limit.js) are
+// enforced here too: requests over them are rejected, and requests without max_tokens get
+// the key's maxTokens.
+
+const number = (minimum, maximum) => ({ type: ['number', 'null'], minimum, maximum });
+// LM Studio takes -1 as "no limit"
+const maxTokens = { type: ['integer', 'null'], minimum: -1 };
+const stringList = { type: ['string', 'array', 'null'], items: { type: 'string' } };
+
+const COMMON_PROPERTIES = {
+  model: { type: 'string', minLength: 1 },
+  stream: { type: ['boolean', 'null'] },
+  stream_options: {
+    type: ['object', 'null'],
+    properties: { include_usage: { type: 'boolean' } }
+  },
+  temperature: number(0, 2),
+  top_p: number(0, 1),
+  n: { type: ['integer', 'null'], minimum: 1, maximum: 128 },
+  max_tokens: maxTokens,
+  stop: stringList,
+  presence_penalty: number(-2, 2),
+  frequency_penalty: number(-2, 2),
+  logit_bias: { type: ['object', 'null'], additionalProperties: { type: 'number', minimum: -100, maximum: 100 } },
+  seed: { type: ['integer', 'null'] },
+  user: { type: 'string' }
+};
+
+const CONTENT_PART = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { type: 'string' },
+    text: { type: 'string' },
+    image_url: {
+      type: 'object',
+      required: ['url'],
+      properties: { url: { type: 'string', minLength: 1 } }
+    }
+  },
+  allOf: [
+    { if: { properties: { type: { const: 'text' } } }, then: { required: ['text'] } },
+    { if: { properties: { type: { const: 'image_url' } } }, then: { required: ['image_url'] } }
+  ]
+};
+
+const TOOL_CALL = {
+  type: 'object',
+  required: ['id', 'type', 'function'],
+  properties: {
+    id: { type: 'string' },
+    type: { const: 'function' },
+    function: {
+      type: 'object',
+      required: ['name', 'arguments'],
+      properties: { name: { type: 'string' }, arguments: { type: 'string' } }
+    }
+  }
+};
+
+const MESSAGE = {
+  type: 'object',
+  required: ['role'],
+  properties: {
+    role: { enum: ['system', 'developer', 'user', 'assistant', 'tool'] },
+    content: { type: ['string', 'array', 'null'], items: CONTENT_PART },
+    name: { type: 'string' },
+    tool_calls: { type: 'array', items: TOOL_CALL },
+    tool_call_id: { type: 'string' }
+  },
+  allOf: [
+    {
+      if: { properties: { role: { enum: ['system', 'developer', 'user'] } } },
+      then: { required: ['content'], properties: { content: { type: ['string', 'array'] } } }
+    },
+    { if: { properties: { role: { const: 'tool' } } }, then: { required: ['tool_call_id', 'content'] } },
+    {
+      if: { properties: { role: { const: 'assistant' } }, not: { required: ['tool_calls'] } },
+      then: { required: ['content'] }
+    }
+  ]
+};
+
+const TOOL = {
+  type: 'object',
+  required: ['type', 'function'],
+  properties: {
+    type: { const: 'function' },
+    function: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', pattern: '^[a-zA-Z0-9_-]{1,64}$' },
+        description: { type: 'string' },
+        parameters: { type: 'object' },
+        strict: { type: ['boolean', 'null'] }
+      }
+    }
+  }
+};
+
+const TOOL_CHOICE = {
+  type: ['string', 'object'],
+  if: { type: 'string' },
+  then: { enum: ['none', 'auto', 'required'] },
+  else: {
+    required: ['type', 'function'],
+    properties: {
+      type: { const: 'function' },
+      function: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } }
+    }
+  }
+};
+
+const RESPONSE_FORMAT = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { enum: ['text', 'json_object', 'json_schema'] },
+    json_schema: {
+      type: 'object',
+      required: ['schema'],
+      properties: { name: { type: 'string' }, schema: { type: 'object' }, strict: { type: ['boolean', 'null'] } }
+    }
+  },
+  if: { properties: { type: { const: 'json_schema' } } },
+  then: { required: ['json_schema'] }
+};
+
+// Prompts and inputs: text, token ids, or a list of either
+const PROMPT = { type: ['string', 'array'], items: { type: ['string', 'integer', 'array'], items: { type: 'integer' } } };
+
+export const REQUEST_SCHEMAS = {
+  '/v1/chat/completions': {
+    type: 'object',
+    required: ['messages'],
+    properties: {
+      ...COMMON_PROPERTIES,
+      messages: { type: 'array', minItems: 1, items: MESSAGE },
+      max_completion_tokens: maxTokens,
+      tools: { type: ['array', 'null'], items: TOOL },
+      tool_choice: TOOL_CHOICE,
+      parallel_tool_calls: { type: ['boolean', 'null'] },
+      response_format: RESPONSE_FORMAT,
+      logprobs: { type: ['boolean', 'null'] },
+      top_logprobs: { type: ['integer', 'null'], minimum: 0, maximum: 20 }
+    }
+  },
+  '/v1/completions': {
+    type: 'object',
+    required: ['prompt'],
+    properties: {
+      ...COMMON_PROPERTIES,
+      prompt: PROMPT,
+      suffix: { type: ['string', 'null'] },
+      echo: { type: ['boolean', 'null'] },
+      best_of: { type: ['integer', 'null'], minimum: 1 },
+      logprobs: { type: ['integer', 'null'], minimum: 0, maximum: 5 }
+    }
+  },
+  '/v1/embeddings': {
+    type: 'object',
+    required: ['input'],
+    properties: {
+      model: COMMON_PROPERTIES.model,
+      input: { ...PROMPT, minItems: 1 },
+      encoding_format: { enum: ['float', 'base64'] },
+      dimensions: { type: 'integer', minimum: 1 },
+      user: COMMON_PROPERTIES.user
+    }
+  }
+};
+
+const ajv = new Ajv({ allowUnionTypes: true });
+const validators = Object.fromEntries(Object.entries(REQUEST_SCHEMAS).map(([path, schema]) => [path, ajv.compile(schema)]));
+
+// "/messages/2/tool_call_id" -> "messages[2].tool_call_id"
+function paramName(instancePath, property) {
+  const segments = instancePath.split('/').slice(1);
+  if (property) {
+    segments.push(property);
+  }
+  return segments.reduce((name, segment) => {
+    if (/^\d+$/.test(segment)) {
+      return `${name}[${segment}]`;
+    }
+    return name ? `${name}.${segment}` : segment;
+  }, '');
+}
+
+const quote = value => `'${value}'`;
+
+// The first schema error as { message, param, code } (if/then/else only report that a
+// branch failed - the branch's own error comes first)
+export function describeValidationError(errors, body) {
+  const error = errors.find(candidate => !['if', 'allOf'].includes(candidate.keyword)) || errors[0];
+  const { instancePath, keyword, params, message } = error;
+
+  if (keyword === 'required') {
+    const param = paramName(instancePath, params.missingProperty);
+    return { message: `Missing required parameter: ${quote(param)}.`, param, code: 'missing_required_parameter' };
+  }
+  const param = paramName(instancePath) || null;
+  const target = param ? quote(param) : 'the request body';
+  if (keyword === 'type') {
+    return { message: `Invalid type for ${target}: expected ${[].concat(params.type).join(' or ')}.`, param, code: 'invalid_type' };
+  }
+  if (keyword === 'enum' || keyword === 'const') {
+    const allowed = keyword === 'enum' ? params.allowedValues : [params.allowedValue];
+    const value = instancePath.split('/').slice(1).reduce((current, segment) => current?.[segment], body);
+    return {
+      message: `Invalid value for ${target}: ${quote(value)}. Supported values are: ${allowed.map(quote).join(', ')}.`,
+      param,
+      code: 'invalid_value'
+    };
+  }
+  if (keyword === 'minItems' && params.limit === 1) {
+    return { message: `Invalid value for ${target}: empty array. Expected an array with at least 1 item.`, param, code: 'empty_array' };
+  }
+  return { message: `Invalid value for ${target}: ${message}.`, param, code: 'invalid_value' };
+}
+
+// Check a body against the route's schema. Returns an error ({ message, param, code }) or null.
+export function validateRequestBody(path, body) {
+  const validate = validators[path];
+  if (!validate || validate(body)) {
+    return null;
+  }
+  return describeValidationError(validate.errors, body);
+}
+
+// Apply the per-key maxTokens/maxN limits to a valid body. Returns an error or null.
+export function applyRequestCaps(path, body, limits) {
+  if (path === '/v1/embeddings') {
+    return null;
+  }
+  if (limits.maxN > 0 && (body.n ?? 1) > limits.maxN) {
+    return {
+      message: `Invalid value for 'n': ${body.n}. This API key is limited to n <= ${limits.maxN}.`,
+      param: 'n',
+      code: 'integer_above_max_value'
+    };
+  }
+  if (limits.maxTokens > 0) {
+    const fields = path === '/v1/chat/completions' ? ['max_completion_tokens', 'max_tokens'] : ['max_tokens'];
+    const over = fields.find(field => body[field] > limits.maxTokens);
+    if (over) {
+      return {
+        message: `Invalid value for ${quote(over)}: ${body[over]}. This API key is limited to ${over} <= ${limits.maxTokens}.`,
+        param: over,
+        code: 'integer_above_max_value'
+      };
+    }
+    // Unlimited (missing, null or -1) becomes the cap
+    if (!fields.some(field => body[field] > 0)) {
+      fields.forEach(field => delete body[field]);
+      body.max_tokens = limits.maxTokens;
+    }
+  }
+  return null;
+}
+
+function hasBody(req) {
+  return req.headers['transfer-encoding'] !== undefined || parseInt(req.headers['content-length'] || '0', 10) > 0;
+}
+
+// Middleware: validate inference request bodies (after API translation, so translated
+// requests are checked too) and apply the key's request caps from limiter.limitsFor().
+// Bodies that weren't buffered as JSON are rejected with a 415: they would otherwise reach
+// LM Studio without validation, caps or the content policy.
+export const validateRequest = (limiter) => (req, res, next) => {
+  const schemaRoute = req.method === 'POST' && REQUEST_SCHEMAS[req.path];
+  if (req.rawBody === undefined && (schemaRoute || (['POST', 'PUT', 'PATCH'].includes(req.method) && hasBody(req)))) {
+    req.log.debug('Rejected non-JSON request body', { contentType: req.headers['content-type'] });
+    return res.status(415).json(openAIError(
+      `Unsupported Content-Type ${JSON.stringify(req.headers['content-type'] || '')}: request bodies must be JSON, ` +
+        'sent with a Content-Type: application/json header.',
+      'invalid_request_error',
+      'unsupported_media_type'
+    ));
+  }
+  if (!schemaRoute) {
+    return next();
+  }
+
+  const reject = ({ message, param = null, code = null }) => {
+    req.log.debug('Invalid request', { param, code, reason: message });
+    return res.status(400).json(openAIError(message, 'invalid_request_error', code, param));
+  };
+  // bufferJsonBody leaves req.body unset when the JSON doesn't parse
+  if (req.body === undefined) {
+    return reject({
+      message: 'We could not parse the JSON body of your request. The request body must be a JSON object ' +
+        'with a Content-Type: application/json header.'
+    });
+  }
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return reject({ message: 'The request body must be a JSON object', code: 'invalid_type' });
+  }
+
+  const error = validateRequestBody(req.path, req.body) || applyRequestCaps(req.path, req.body, limiter.limitsFor(req.apiKey));
+  if (error) {
+    return reject(error);
+  }
+  next();
+};
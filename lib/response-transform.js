@@ -0,0 +1,166 @@
+import { Transform } from 'stream';
+import { StringDecoder } from 'string_decoder';
+
+// Response body rewriting for proxied LM Studio responses
+// Middleware registers transforms on req.responseTransforms - functions that take a parsed
+// JSON payload and return the (possibly modified) payload. They are applied to the whole
+// body of application/json responses, and to every `data:` event of text/event-stream
+// responses as it arrives, so streaming responses keep streaming. A transform can return
+// null to drop an SSE event.
+
+// Apply a list of transforms to one parsed payload (null once a transform dropped it)
+export function applyTransforms(transforms, data) {
+  return transforms.reduce((current, transform) => (current === null ? null : transform(current)), data);
+}
+
+// Transform stream that rewrites the JSON payload of each SSE `data:` line
+export class SseDataTransform extends Transform {
+  constructor(transformData) {
+    super();
+    this.transformData = transformData;
+    this.decoder = new StringDecoder('utf8');
+    this.buffered = '';
+  }
+
+  // The rewritten line, or null when the event is dropped
+  transformLine(line) {
+    if (!line.startsWith('data:')) {
+      return line;
+    }
+    const payload = line.substring(5).trim();
+    if (!payload || payload === '[DONE]') {
+      return line;
+    }
+    try {
+      const data = this.transformData(JSON.parse(payload));
+      return data === null ? null : `data: ${JSON.stringify(data)}`;
+    } catch (err) {
+      // Not JSON - pass through unchanged
+      return line;
+    }
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.buffered += this.decoder.write(chunk);
+    const lines = this.buffered.split('\n');
+    this.buffered = lines.pop();
+    if (lines.length > 0) {
+      this.push(lines.map(line => this.transformLine(line)).filter(line => line !== null).map(line => line + '\n').join(''));
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    this.buffered += this.decoder.end();
+    const line = this.buffered ? this.transformLine(this.buffered) : null;
+    if (line !== null) {
+      this.push(line);
+    }
+    callback();
+  }
+}
+
+// Whether a response can be rewritten (JSON or SSE)
+export function isTransformable(headers) {
+  const contentType = headers['content-type'] || '';
+  return contentType.includes('application/json') || contentType.includes('text/event-stream');
+}
+
+// Write a proxied response to the client, applying req.responseTransforms
+// Responses that aren't JSON/SSE, or requests without transforms, are piped unchanged.
+// If keep-alive heartbeats already sent the headers, only the body is written.
+export function sendTransformedResponse(proxyRes, res, statusCode, headers, transforms = []) {
+  const contentType = headers['content-type'] || '';
+  const writeHead = (responseHeaders) => {
+    if (!res.headersSent) {
+      res.writeHead(statusCode, responseHeaders);
+    }
+  };
+
+  if (transforms.length === 0 || !isTransformable(headers)) {
+    writeHead(headers);
+    proxyRes.pipe(res);
+    return;
+  }
+
+  if (contentType.includes('text/event-stream')) {
+    const streamHeaders = { ...headers };
+    delete streamHeaders['content-length'];
+    writeHead(streamHeaders);
+    proxyRes.pipe(new SseDataTransform(data => applyTransforms(transforms, data))).pipe(res);
+    return;
+  }
+
+  // JSON: buffer the whole body, rewrite it, then send with the new length
+  const chunks = [];
+  proxyRes.on('data', (chunk) => chunks.push(chunk));
+  proxyRes.on('end', () => {
+    let body = Buffer.concat(chunks);
+    try {
+      const data = applyTransforms(transforms, JSON.parse(body.toString('utf-8')));
+      body = Buffer.from(JSON.stringify(data), 'utf-8');
+    } catch (err) {
+      // Not valid JSON (e.g. an error page) - send unchanged
+    }
+    writeHead({ ...headers, 'content-length': body.length });
+    res.end(body);
+  });
+}
+
+// Transform stream that translates an OpenAI-style SSE stream into another streaming format
+// translate(data) returns the text to send for one parsed `data:` payload, and finish() the
+// text to send once the stream is over ([DONE], or the end of the input).
+export class SseTranslateTransform extends Transform {
+  constructor({ translate, finish }) {
+    super();
+    this.translate = translate;
+    this.finish = finish;
+    this.finished = false;
+    this.decoder = new StringDecoder('utf8');
+    this.buffered = '';
+  }
+
+  translateLine(line) {
+    if (!line.startsWith('data:')) {
+      return '';
+    }
+    const payload = line.substring(5).trim();
+    if (payload === '[DONE]') {
+      return this.finishOnce();
+    }
+    try {
+      return payload ? this.translate(JSON.parse(payload)) : '';
+    } catch (err) {
+      // Not JSON - nothing to translate
+      return '';
+    }
+  }
+
+  finishOnce() {
+    if (this.finished) {
+      return '';
+    }
+    this.finished = true;
+    return this.finish();
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.buffered += this.decoder.write(chunk);
+    const lines = this.buffered.split('\n');
+    this.buffered = lines.pop();
+    const output = lines.map(line => this.translateLine(line)).join('');
+    if (output) {
+      this.push(output);
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    this.buffered += this.decoder.end();
+    const output = this.translateLine(this.buffered) + this.finishOnce();
+    if (output) {
+      this.push(output);
+    }
+    callback();
+  }
+}
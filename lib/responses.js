@@ -0,0 +1,536 @@
+import { randomBytes } from 'crypto';
+import { translateRequest, errorMessage } from './api-adapter.js';
+import { MemoryStore, DiskStore } from './cache.js';
+import { openAIError, errorType } from './errors.js';
+import { logger } from './logger.js';
+
+// OpenAI Responses API (/v1/responses) on top of LM Studio's chat completions
+// Requests are translated to /v1/chat/completions (see lib/api-adapter.js):
+//
+//   - `instructions` becomes a system message, `input` (a string or input items) the rest
+//   - `message` items (user/assistant/system/developer, text and image_url parts),
+//     `function_call` and `function_call_output` items map onto chat messages and tool calls
+//   - function `tools`, `tool_choice`, `text.format`, `max_output_tokens`, `temperature`,
+//     `top_p` and `parallel_tool_calls` map onto their chat completion counterparts
+//
+// Responses come back as `response` objects with message and function_call output items,
+// and streams as typed events (response.created, response.output_text.delta, ...,
+// response.completed). Built-in tools (web search, file search, ...) aren't supported.
+//
+// Responses are kept in a ResponseStore unless the request sends `store: false`, so a later
+// request can continue the conversation with `previous_response_id` instead of resending it.
+// Only the API key that created a response can continue, retrieve or delete it.
+
+export const RESPONSES_PATH = '/v1/responses';
+export const RESPONSE_STORES = ['memory', 'disk', 'off'];
+export const DEFAULT_RESPONSE_STORE_DIR = 'data/responses';
+
+const RESPONSE_ID = /^resp_([0-9a-f]{64})$/;
+
+const INCOMPLETE_REASONS = {
+  length: 'max_output_tokens',
+  content_filter: 'content_filter'
+};
+
+export class ResponsesRequestError extends Error {
+  constructor(message, param = null) {
+    super(message);
+    this.name = 'ResponsesRequestError';
+    this.param = param;
+  }
+}
+
+function responseId() {
+  return `resp_${randomBytes(32).toString('hex')}`;
+}
+
+function itemId(prefix) {
+  return `${prefix}_${randomBytes(12).toString('hex')}`;
+}
+
+// Stored responses and the conversation that led to them, expiring after ttlMs and
+// trimmed to maxEntries (oldest first)
+export class ResponseStore {
+  constructor({ store = 'memory', dir = DEFAULT_RESPONSE_STORE_DIR, ttlMs = 30 * 24 * 3600000, maxEntries = 1000 } = {}) {
+    if (!RESPONSE_STORES.includes(store) || store === 'off') {
+      throw new Error(`Invalid RESPONSES_STORE "${store}": expected one of ${RESPONSE_STORES.join(', ')}`);
+    }
+    this.storeName = store;
+    this.store = store === 'disk' ? new DiskStore(dir) : new MemoryStore();
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+
+    // key -> expiresAt, oldest first
+    this.index = new Map();
+    for (const { key, createdAt } of this.store.load()) {
+      this.index.set(key, createdAt + ttlMs);
+    }
+    this.evict();
+  }
+
+  remove(key) {
+    this.index.delete(key);
+    this.store.remove(key);
+  }
+
+  evict() {
+    const now = Date.now();
+    for (const [key, expiresAt] of this.index) {
+      if ((this.ttlMs && expiresAt <= now) || (this.maxEntries && this.index.size > this.maxEntries)) {
+        this.remove(key);
+      }
+    }
+  }
+
+  // The stored { response, messages, keyId } for a response id, or null
+  async get(id) {
+    const key = RESPONSE_ID.exec(String(id))?.[1];
+    const expiresAt = key && this.index.get(key);
+    if (!expiresAt) {
+      return null;
+    }
+    if (this.ttlMs && expiresAt <= Date.now()) {
+      this.remove(key);
+      return null;
+    }
+    return this.store.read(key);
+  }
+
+  save(id, record) {
+    const key = RESPONSE_ID.exec(id)[1];
+    this.index.set(key, Date.now() + this.ttlMs);
+    this.evict();
+    this.store.write(key, record)
+      .catch(err => logger.warn('Failed to store response', { store: this.storeName, responseId: id, error: err }));
+  }
+
+  delete(id) {
+    const key = RESPONSE_ID.exec(String(id))?.[1];
+    if (!key || !this.index.has(key)) {
+      return false;
+    }
+    this.remove(key);
+    return true;
+  }
+
+  status() {
+    return {
+      store: this.storeName,
+      entries: this.index.size,
+      maxEntries: this.maxEntries || null,
+      ttlMs: this.ttlMs || null
+    };
+  }
+}
+
+// Chat content from Responses content parts - a plain string when there are no images
+function toChatContent(content, param) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    throw new ResponsesRequestError(`${param} must be a string or an array of content parts`, param);
+  }
+  const parts = content.map((part, index) => {
+    switch (part?.type) {
+      case 'input_text':
+      case 'output_text':
+        return { type: 'text', text: part.text };
+      case 'refusal':
+        return { type: 'text', text: part.refusal };
+      case 'input_image':
+        if (!part.image_url) {
+          throw new ResponsesRequestError('Only images given as image_url are supported', `${param}[${index}]`);
+        }
+        return { type: 'image_url', image_url: { url: part.image_url } };
+      default:
+        throw new ResponsesRequestError(`Unsupported content part type "${part?.type}"`, `${param}[${index}].type`);
+    }
+  });
+  if (parts.every(part => part.type === 'text')) {
+    return parts.map(part => part.text).join('');
+  }
+  return parts;
+}
+
+// `input` (a string or input items) -> chat messages
+export function toInputMessages(input) {
+  if (typeof input === 'string') {
+    return [{ role: 'user', content: input }];
+  }
+  if (!Array.isArray(input)) {
+    throw new ResponsesRequestError('input must be a string or an array of input items', 'input');
+  }
+
+  const messages = [];
+  input.forEach((item, index) => {
+    const param = `input[${index}]`;
+    switch (item?.type || (item?.role ? 'message' : undefined)) {
+      case 'message': {
+        if (!['user', 'assistant', 'system', 'developer'].includes(item.role)) {
+          throw new ResponsesRequestError(`${param}.role must be "user", "assistant", "system" or "developer"`, `${param}.role`);
+        }
+        messages.push({
+          role: item.role === 'developer' ? 'system' : item.role,
+          content: toChatContent(item.content, `${param}.content`)
+        });
+        break;
+      }
+      case 'function_call': {
+        // Calls made in the same turn go on the same assistant message
+        const call = { id: item.call_id, type: 'function', function: { name: item.name, arguments: item.arguments || '{}' } };
+        const last = messages[messages.length - 1];
+        if (last?.role === 'assistant') {
+          last.tool_calls = [...(last.tool_calls || []), call];
+        } else {
+          messages.push({ role: 'assistant', content: null, tool_calls: [call] });
+        }
+        break;
+      }
+      case 'function_call_output':
+        messages.push({
+          role: 'tool',
+          tool_call_id: item.call_id,
+          content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output)
+        });
+        break;
+      case 'reasoning':
+        break; // The model's earlier reasoning isn't sent back
+      default:
+        throw new ResponsesRequestError(`Unsupported input item type "${item?.type}"`, `${param}.type`);
+    }
+  });
+  return messages;
+}
+
+function toChatTools(tools) {
+  return tools.map((tool, index) => {
+    if (tool?.type !== 'function') {
+      throw new ResponsesRequestError(`Tool type "${tool?.type}" is not supported - only function tools are`, `tools[${index}].type`);
+    }
+    const fn = { name: tool.name, description: tool.description, parameters: tool.parameters || { type: 'object', properties: {} } };
+    if (tool.strict !== undefined) {
+      fn.strict = tool.strict;
+    }
+    return { type: 'function', function: fn };
+  });
+}
+
+function toChatToolChoice(choice) {
+  if (['auto', 'none', 'required'].includes(choice)) {
+    return choice;
+  }
+  if (choice?.type === 'function') {
+    return { type: 'function', function: { name: choice.name } };
+  }
+  throw new ResponsesRequestError('tool_choice must be "auto", "none", "required" or a function tool', 'tool_choice');
+}
+
+function toResponseFormat(format) {
+  switch (format?.type) {
+    case 'text':
+      return undefined;
+    case 'json_schema':
+      return { type: 'json_schema', json_schema: { name: format.name, schema: format.schema, strict: format.strict } };
+    case 'json_object':
+      return { type: 'json_schema', json_schema: { name: 'response', schema: { type: 'object' } } };
+    default:
+      throw new ResponsesRequestError(`Unsupported text.format type "${format?.type}"`, 'text.format.type');
+  }
+}
+
+// Translate a /v1/responses body into a /v1/chat/completions body, given the conversation
+// so far (earlier turns from previous_response_id, then this request's input)
+export function toChatRequest(body, conversation) {
+  const messages = body.instructions ? [{ role: 'system', content: body.instructions }, ...conversation] : conversation;
+  const chat = { model: body.model, messages };
+  if (body.max_output_tokens !== undefined && body.max_output_tokens !== null) {
+    chat.max_tokens = body.max_output_tokens;
+  }
+  for (const name of ['temperature', 'top_p', 'parallel_tool_calls', 'user']) {
+    if (body[name] !== undefined && body[name] !== null) {
+      chat[name] = body[name];
+    }
+  }
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    chat.tools = toChatTools(body.tools);
+  }
+  if (body.tool_choice) {
+    chat.tool_choice = toChatToolChoice(body.tool_choice);
+  }
+  if (body.text?.format) {
+    chat.response_format = toResponseFormat(body.text.format);
+  }
+  if (body.stream === true) {
+    chat.stream = true;
+    chat.stream_options = { include_usage: true };
+  }
+  return chat;
+}
+
+function messageItem(id, text, status) {
+  return { type: 'message', id, status, role: 'assistant', content: [{ type: 'output_text', text, annotations: [] }] };
+}
+
+function functionCallItem(id, call, status) {
+  return {
+    type: 'function_call',
+    id,
+    call_id: call.id || itemId('call'),
+    name: call.function?.name || '',
+    arguments: call.function?.arguments || '',
+    status
+  };
+}
+
+function toUsage(usage) {
+  const input = usage?.prompt_tokens || 0;
+  const output = usage?.completion_tokens || 0;
+  return {
+    input_tokens: input,
+    input_tokens_details: { cached_tokens: 0 },
+    output_tokens: output,
+    output_tokens_details: { reasoning_tokens: 0 },
+    total_tokens: usage?.total_tokens || input + output
+  };
+}
+
+// The chat message for a response's output, to continue the conversation from
+function assistantMessage(output) {
+  const text = output.filter(item => item.type === 'message').map(item => item.content[0].text).join('');
+  const calls = output.filter(item => item.type === 'function_call')
+    .map(item => ({ id: item.call_id, type: 'function', function: { name: item.name, arguments: item.arguments } }));
+  return calls.length > 0 ? { role: 'assistant', content: text || null, tool_calls: calls } : { role: 'assistant', content: text };
+}
+
+function event(type, data) {
+  return `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+}
+
+export function toResponsesError(status, body) {
+  if (body?.error && typeof body.error === 'object') {
+    return openAIError(errorMessage(body), body.error.type || errorType(status), body.error.code ?? null, body.error.param ?? null);
+  }
+  return openAIError(errorMessage(body), errorType(status));
+}
+
+// The format for one request (see lib/api-adapter.js): it echoes the request's settings in
+// the response object and calls onComplete(response, message) once the response is finished.
+export function createResponsesFormat(body, { store, onComplete }) {
+  const id = responseId();
+  const createdAt = Math.floor(Date.now() / 1000);
+
+  const response = ({ model, status, output, usage = null, finishReason = null }) => ({
+    id,
+    object: 'response',
+    created_at: createdAt,
+    status,
+    error: null,
+    incomplete_details: INCOMPLETE_REASONS[finishReason] ? { reason: INCOMPLETE_REASONS[finishReason] } : null,
+    instructions: body.instructions ?? null,
+    max_output_tokens: body.max_output_tokens ?? null,
+    model,
+    output,
+    parallel_tool_calls: body.parallel_tool_calls ?? true,
+    previous_response_id: body.previous_response_id ?? null,
+    store,
+    temperature: body.temperature ?? null,
+    text: body.text ?? { format: { type: 'text' } },
+    tool_choice: body.tool_choice ?? 'auto',
+    tools: body.tools ?? [],
+    top_p: body.top_p ?? null,
+    usage,
+    user: body.user ?? null,
+    metadata: body.metadata ?? {}
+  });
+
+  const complete = (model, output, usage, finishReason) => {
+    const finished = response({
+      model,
+      status: INCOMPLETE_REASONS[finishReason] ? 'incomplete' : 'completed',
+      output,
+      usage: toUsage(usage),
+      finishReason
+    });
+    onComplete?.(finished, assistantMessage(output));
+    return finished;
+  };
+
+  // chat.completion -> response
+  const toResponse = (completion) => {
+    const choice = completion.choices?.[0] || {};
+    const output = [];
+    if (choice.message?.content) {
+      output.push(messageItem(itemId('msg'), choice.message.content, 'completed'));
+    }
+    for (const call of choice.message?.tool_calls || []) {
+      output.push(functionCallItem(itemId('fc'), call, 'completed'));
+    }
+    return complete(completion.model, output, completion.usage, choice.finish_reason);
+  };
+
+  // Translates chat.completion.chunk events into Responses stream events
+  // Output items are opened as they start and all finished (the ...done events) at the end.
+  const createStream = () => {
+    let sequence = 0;
+    let model = null;
+    let usage = null;
+    let finishReason = null;
+    let text = null; // { item, outputIndex }
+    const output = [];
+    const calls = new Map(); // chunk tool call index -> { item, outputIndex }
+
+    const emit = (type, data) => event(type, { sequence_number: sequence++, ...data });
+
+    return {
+      translate(chunk) {
+        let result = '';
+        if (model === null) {
+          model = chunk.model;
+          const started = response({ model, status: 'in_progress', output: [] });
+          result += emit('response.created', { response: started }) + emit('response.in_progress', { response: started });
+        }
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+        const choice = chunk.choices?.[0];
+        if (!choice) {
+          return result;
+        }
+
+        const delta = choice.delta || {};
+        if (delta.content) {
+          if (!text) {
+            const item = messageItem(itemId('msg'), '', 'in_progress');
+            text = { item, outputIndex: output.length };
+            output.push(item);
+            result += emit('response.output_item.added', { output_index: text.outputIndex, item: { ...item, content: [] } }) +
+              emit('response.content_part.added', { item_id: item.id, output_index: text.outputIndex, content_index: 0, part: { type: 'output_text', text: '', annotations: [] } });
+          }
+          text.item.content[0].text += delta.content;
+          result += emit('response.output_text.delta', { item_id: text.item.id, output_index: text.outputIndex, content_index: 0, delta: delta.content });
+        }
+        for (const call of delta.tool_calls || []) {
+          let entry = calls.get(call.index ?? 0);
+          if (!entry) {
+            const item = functionCallItem(itemId('fc'), { id: call.id, function: { name: call.function?.name } }, 'in_progress');
+            entry = { item, outputIndex: output.length };
+            output.push(item);
+            calls.set(call.index ?? 0, entry);
+            result += emit('response.output_item.added', { output_index: entry.outputIndex, item: { ...item } });
+          }
+          if (call.function?.arguments) {
+            entry.item.arguments += call.function.arguments;
+            result += emit('response.function_call_arguments.delta', { item_id: entry.item.id, output_index: entry.outputIndex, delta: call.function.arguments });
+          }
+        }
+        if (choice.finish_reason) {
+          finishReason = choice.finish_reason;
+        }
+        return result;
+      },
+
+      finish() {
+        if (model === null) {
+          return '';
+        }
+        let result = '';
+        output.forEach((item, outputIndex) => {
+          item.status = 'completed';
+          if (item.type === 'message') {
+            const part = item.content[0];
+            result += emit('response.output_text.done', { item_id: item.id, output_index: outputIndex, content_index: 0, text: part.text }) +
+              emit('response.content_part.done', { item_id: item.id, output_index: outputIndex, content_index: 0, part });
+          } else {
+            result += emit('response.function_call_arguments.done', { item_id: item.id, output_index: outputIndex, arguments: item.arguments });
+          }
+          result += emit('response.output_item.done', { output_index: outputIndex, item });
+        });
+        const finished = complete(model, output, usage, finishReason);
+        return result + emit(finished.status === 'incomplete' ? 'response.incomplete' : 'response.completed', { response: finished });
+      }
+    };
+  };
+
+  return {
+    toResponse,
+    createStream,
+    streamContentType: 'text/event-stream',
+    toError: toResponsesError,
+    streamError: error => event('error', { code: error.error.code, message: error.error.message, param: error.error.param })
+  };
+}
+
+function notFound(res, message, param = null) {
+  return res.status(404).json(openAIError(message, 'invalid_request_error', null, param));
+}
+
+// POST /v1/responses
+function createResponse(store, req, res, next) {
+  if (!req.body || typeof req.body !== 'object') {
+    return res.status(400).json(openAIError('The request body must be a JSON object', 'invalid_request_error'));
+  }
+  const keyId = req.apiKey?.id ?? null;
+  const previousId = req.body.previous_response_id;
+
+  Promise.resolve(previousId && store ? store.get(previousId) : null)
+    .then((previous) => {
+      if (previousId && previous?.keyId !== keyId) {
+        return notFound(res, `Previous response with id '${previousId}' not found.`, 'previous_response_id');
+      }
+
+      const body = { ...req.body, model: req.body.model ?? previous?.response.model };
+      let conversation;
+      let chat;
+      try {
+        conversation = [...(previous?.messages || []), ...toInputMessages(body.input)];
+        chat = toChatRequest(body, conversation);
+      } catch (err) {
+        if (err instanceof ResponsesRequestError) {
+          return res.status(400).json(openAIError(err.message, 'invalid_request_error', null, err.param));
+        }
+        throw err;
+      }
+
+      const stored = Boolean(store) && body.store !== false;
+      const format = createResponsesFormat(body, {
+        store: stored,
+        onComplete: stored
+          ? (response, message) => store.save(response.id, { response, messages: [...conversation, message], keyId })
+          : null
+      });
+      translateRequest(req, res, { body: chat, format });
+      next();
+    })
+    .catch(next);
+}
+
+// GET / DELETE /v1/responses/:id - only for the key that created the response
+function storedResponse(store, req, res, next, id) {
+  const keyId = req.apiKey?.id ?? null;
+  Promise.resolve(store ? store.get(id) : null)
+    .then((record) => {
+      if (!record || record.keyId !== keyId) {
+        return notFound(res, `No response found with id '${id}'.`);
+      }
+      if (req.method === 'DELETE') {
+        store.delete(id);
+        return res.json({ id, object: 'response', deleted: true });
+      }
+      res.json(record.response);
+    })
+    .catch(next);
+}
+
+// Middleware: handle /v1/responses (store may be null to turn off previous_response_id).
+// Must run after bufferJsonBody and before model aliases.
+export const responsesApi = (store) => (req, res, next) => {
+  if (req.path === RESPONSES_PATH && req.method === 'POST') {
+    return createResponse(store, req, res, next);
+  }
+  const id = req.path.startsWith(`${RESPONSES_PATH}/`) ? req.path.substring(RESPONSES_PATH.length + 1) : null;
+  if (id && !id.includes('/') && ['GET', 'DELETE'].includes(req.method)) {
+    return storedResponse(store, req, res, next, id);
+  }
+  next();
+};
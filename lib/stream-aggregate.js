@@ -0,0 +1,114 @@
+// Aggregate OpenAI-style SSE chunks into a single non-streaming response
+// Used when the proxy streams from LM Studio internally but the client asked for a
+// plain JSON response (e.g. keep-alive mode for long non-streaming completions).
+
+// Parse the `data:` payloads of an SSE body into objects (ignores [DONE] and non-JSON lines)
+export function parseSseEvents(text) {
+  const events = [];
+  for (const line of text.split('\n')) {
+    if (!line.startsWith('data:')) {
+      continue;
+    }
+    const payload = line.substring(5).trim();
+    if (!payload || payload === '[DONE]') {
+      continue;
+    }
+    try {
+      events.push(JSON.parse(payload));
+    } catch (err) {
+      // Not JSON - ignore
+    }
+  }
+  return events;
+}
+
+// Merge streamed tool call deltas (matched by index) into complete tool calls
+function mergeToolCalls(target, deltas) {
+  for (const delta of deltas) {
+    const index = delta.index ?? target.length;
+    if (!target[index]) {
+      target[index] = { id: delta.id, type: delta.type || 'function', function: { name: '', arguments: '' } };
+    }
+    const call = target[index];
+    if (delta.id) {
+      call.id = delta.id;
+    }
+    if (delta.function?.name) {
+      call.function.name += delta.function.name;
+    }
+    if (delta.function?.arguments) {
+      call.function.arguments += delta.function.arguments;
+    }
+  }
+}
+
+// Build a chat.completion (or text_completion) object from chat.completion.chunk events
+export function aggregateCompletion(events) {
+  const first = events[0] || {};
+  const isText = first.object === 'text_completion';
+  const choices = [];
+  let usage = null;
+  let systemFingerprint = first.system_fingerprint;
+
+  for (const event of events) {
+    if (event.usage) {
+      usage = event.usage;
+    }
+    if (event.system_fingerprint) {
+      systemFingerprint = event.system_fingerprint;
+    }
+    for (const chunk of event.choices || []) {
+      const index = chunk.index ?? 0;
+      if (!choices[index]) {
+        choices[index] = isText
+          ? { index, text: '', logprobs: null, finish_reason: null }
+          : { index, message: { role: 'assistant', content: '' }, logprobs: null, finish_reason: null };
+      }
+      const choice = choices[index];
+
+      if (isText) {
+        choice.text += chunk.text || '';
+      } else {
+        const delta = chunk.delta || {};
+        if (delta.role) {
+          choice.message.role = delta.role;
+        }
+        if (delta.content) {
+          choice.message.content += delta.content;
+        }
+        if (delta.reasoning_content) {
+          choice.message.reasoning_content = (choice.message.reasoning_content || '') + delta.reasoning_content;
+        }
+        if (delta.tool_calls) {
+          choice.message.tool_calls = choice.message.tool_calls || [];
+          mergeToolCalls(choice.message.tool_calls, delta.tool_calls);
+        }
+      }
+      if (chunk.finish_reason) {
+        choice.finish_reason = chunk.finish_reason;
+      }
+    }
+  }
+
+  // A tool-calling reply has no text content
+  for (const choice of choices) {
+    if (choice?.message?.tool_calls && choice.message.content === '') {
+      choice.message.content = null;
+    }
+  }
+
+  const completion = {
+    id: first.id,
+    object: isText ? 'text_completion' : 'chat.completion',
+    created: first.created,
+    model: first.model,
+    choices: choices.filter(Boolean)
+  };
+  if (systemFingerprint) {
+    completion.system_fingerprint = systemFingerprint;
+  }
+  if (usage) {
+    completion.usage = usage;
+  }
+  return completion;
+}
@@ -0,0 +1,407 @@
+import { randomBytes } from 'crypto';
+import Ajv from 'ajv';
+import { openAIError } from './errors.js';
+
+// Tool calling shim for models without native tool support
+// Many GGUF models have chat templates that don't know about tools, so LM Studio never
+// returns `tool_calls` for them. For the models listed in TOOL_SHIM_MODELS (or the config
+// file's `toolShim` section) the proxy does it instead:
+//
+//   TOOL_SHIM_MODELS=llama-3.2-3b-instruct,hermes-3-llama-3.1-8b=xml
+//
+// - The request's tools (and tool_choice) are described in a system message, and the
+//   conversation's earlier tool calls and tool results are written out as plain text, so
+//   the model only sees system/user/assistant messages.
+// - The model is asked to answer with its tool calls in one of two formats:
+//     json  the whole reply is {"tool_calls": [{"name": "...", "arguments": {...}}]}
+//     xml   <tool_call>{"name": "...", "arguments": {...}}</tool_call> elements (Hermes style)
+// - Its reply is parsed back into OpenAI `tool_calls` with finish_reason "tool_calls", for
+//   streamed and non-streamed responses. Streams pass normal text through as it arrives and
+//   hold back what may be a tool call until it's complete.
+// - Arguments are validated against the tool's JSON schema. Calls to unknown tools or with
+//   invalid arguments are returned as plain text instead, as the model wrote them.
+
+export const TOOL_SHIM_FORMATS = ['json', 'xml'];
+
+const TOOL_CALL_TAG = '<tool_call>';
+const TOOL_CALL_END_TAG = '</tool_call>';
+
+// Parse TOOL_SHIM_MODELS ("model,other-model=xml") into { model: format }
+export function parseToolShimModels(value) {
+  const models = Object.create(null);
+  for (const entry of value.split(',').map(item => item.trim()).filter(Boolean)) {
+    const equals = entry.lastIndexOf('=');
+    const model = equals > 0 ? entry.substring(0, equals).trim() : entry;
+    const format = equals > 0 ? entry.substring(equals + 1).trim() : 'json';
+    if (!TOOL_SHIM_FORMATS.includes(format)) {
+      throw new Error(`Invalid tool shim format "${format}" for ${model}: expected ${TOOL_SHIM_FORMATS.join(' or ')}`);
+    }
+    models[model] = format;
+  }
+  return models;
+}
+
+const ajv = new Ajv({ strict: false });
+const validators = new Map();
+const MAX_VALIDATORS = 256;
+
+// Compiled argument validator for a tool's parameters schema (throws if the schema is invalid)
+function validatorFor(parameters) {
+  const key = JSON.stringify(parameters || {});
+  if (!validators.has(key)) {
+    if (validators.size >= MAX_VALIDATORS) {
+      validators.clear();
+    }
+    validators.set(key, ajv.compile(parameters || {}));
+  }
+  return validators.get(key);
+}
+
+function textOf(content) {
+  if (Array.isArray(content)) {
+    return content.map(part => (typeof part?.text === 'string' ? part.text : '')).join('');
+  }
+  return typeof content === 'string' ? content : '';
+}
+
+function parseArguments(value) {
+  if (typeof value !== 'string') {
+    return value ?? {};
+  }
+  try {
+    return JSON.parse(value || '{}');
+  } catch (err) {
+    return value; // Left as a string - fails validation against an object schema
+  }
+}
+
+// The system message describing the tools and how to call them
+export function toolPrompt(tools, toolChoice, parallelToolCalls, format) {
+  const definitions = tools.map(({ function: fn }) => JSON.stringify({
+    name: fn.name,
+    description: fn.description || '',
+    parameters: fn.parameters || { type: 'object', properties: {} }
+  }));
+  const lines = ['You can call these tools (functions):', '', ...definitions, ''];
+
+  if (format === 'xml') {
+    lines.push(
+      'To call a tool, write a <tool_call> element holding a JSON object with the tool name and its arguments:',
+      `${TOOL_CALL_TAG}{"name": "<tool name>", "arguments": {<arguments matching the tool's parameters>}}${TOOL_CALL_END_TAG}`,
+      'Write one <tool_call> element per call. Tool results come back in <tool_response> elements.'
+    );
+  } else {
+    lines.push(
+      'To call tools, reply with only this JSON object and nothing else:',
+      '{"tool_calls": [{"name": "<tool name>", "arguments": {<arguments matching the tool\'s parameters>}}]}',
+      'Tool results come back in a user message starting with "Tool results:".'
+    );
+  }
+
+  if (toolChoice === 'required') {
+    lines.push('You must call at least one tool.');
+  } else if (toolChoice?.function?.name) {
+    lines.push(`You must call the "${toolChoice.function.name}" tool.`);
+  } else {
+    lines.push('If no tool is needed, answer normally.');
+  }
+  if (parallelToolCalls === false) {
+    lines.push('Call at most one tool at a time.');
+  }
+  return lines.join('\n');
+}
+
+function formatCalls(calls, format) {
+  const entries = calls.map(call => ({ name: call.function?.name, arguments: parseArguments(call.function?.arguments) }));
+  if (format === 'xml') {
+    return entries.map(entry => `${TOOL_CALL_TAG}${JSON.stringify(entry)}${TOOL_CALL_END_TAG}`).join('\n');
+  }
+  return JSON.stringify({ tool_calls: entries });
+}
+
+function formatResults(results, format) {
+  if (format === 'xml') {
+    return results.map(result => `<tool_response>${JSON.stringify(result)}</tool_response>`).join('\n');
+  }
+  return ['Tool results:', ...results.map(result => JSON.stringify(result))].join('\n');
+}
+
+// The conversation with tool calls and tool results written out as text. Consecutive tool
+// results become one user message.
+export function toShimMessages(messages, format) {
+  const names = new Map();
+  const converted = [];
+  let results = null;
+
+  for (const message of messages) {
+    if (message?.role === 'tool') {
+      if (!results) {
+        results = [];
+        converted.push({ role: 'user', content: '' });
+      }
+      results.push({ name: names.get(message.tool_call_id) || null, tool_call_id: message.tool_call_id, content: textOf(message.content) });
+      converted[converted.length - 1].content = formatResults(results, format);
+      continue;
+    }
+    results = null;
+    if (message?.role === 'assistant' && Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+      message.tool_calls.forEach(call => names.set(call.id, call.function?.name));
+      const text = textOf(message.content);
+      const calls = formatCalls(message.tool_calls, format);
+      const { tool_calls: toolCalls, ...rest } = message;
+      converted.push({ ...rest, content: text ? `${text}\n${calls}` : calls });
+      continue;
+    }
+    converted.push(message);
+  }
+  return converted;
+}
+
+// { name, arguments } entries from a parsed tool call object (null if it isn't one)
+function callEntries(value) {
+  const list = Array.isArray(value) ? value : Array.isArray(value?.tool_calls) ? value.tool_calls : [value];
+  const entries = list.map(entry => ({
+    name: entry?.name ?? entry?.function?.name,
+    arguments: parseArguments(entry?.arguments ?? entry?.parameters ?? entry?.function?.arguments)
+  }));
+  return entries.length > 0 && entries.every(entry => typeof entry.name === 'string') ? entries : null;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return undefined;
+  }
+}
+
+// Split a reply into its text and tool calls: { content, calls }
+// Without tool calls (or if they don't parse), calls is empty and content is the whole text.
+export function parseToolCalls(text, format) {
+  if (format === 'xml') {
+    const calls = [];
+    const pattern = /<tool_call>\s*([\s\S]*?)\s*(?:<\/tool_call>|$)/g;
+    for (const match of text.matchAll(pattern)) {
+      const entries = callEntries(parseJson(match[1]));
+      if (!entries) {
+        return { content: text, calls: [] };
+      }
+      calls.push(...entries);
+    }
+    return calls.length > 0 ? { content: text.replace(pattern, '').trim(), calls } : { content: text, calls: [] };
+  }
+
+  const fenced = /^```(?:json)?\s*([\s\S]*?)\s*```$/.exec(text.trim());
+  const entries = callEntries(parseJson(fenced ? fenced[1] : text.trim()));
+  return entries ? { content: '', calls: entries } : { content: text, calls: [] };
+}
+
+// Why parsed calls can't be returned as tool_calls (null if they can)
+function checkCalls(calls, tools, toolChoice) {
+  for (const call of calls) {
+    const tool = tools.find(candidate => candidate.function.name === call.name);
+    if (!tool) {
+      return `unknown tool "${call.name}"`;
+    }
+    if (toolChoice?.function?.name && call.name !== toolChoice.function.name) {
+      return `tool "${call.name}" called instead of "${toolChoice.function.name}"`;
+    }
+    const validate = validatorFor(tool.function.parameters);
+    if (!validate(call.arguments)) {
+      return `invalid arguments for "${call.name}": ${ajv.errorsText(validate.errors, { dataVar: 'arguments' })}`;
+    }
+  }
+  return null;
+}
+
+function toToolCalls(calls) {
+  return calls.map((call, index) => ({
+    index,
+    id: `call_${randomBytes(12).toString('hex')}`,
+    type: 'function',
+    function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+  }));
+}
+
+// Scans streamed text for the start of a tool call. push() returns the text that can be
+// sent on as content right away; finish() parses what was held back.
+class ToolCallScanner {
+  constructor(format) {
+    this.format = format;
+    this.text = '';
+    this.sent = 0;
+    this.mode = null; // "text" once it can't be a tool call, "capture" once it may be one
+  }
+
+  push(piece) {
+    this.text += piece;
+    const end = Math.max(this.sent, this.safeLength());
+    const text = this.text.substring(this.sent, end);
+    this.sent = end;
+    return text;
+  }
+
+  // How much of the text can't be part of a tool call
+  safeLength() {
+    if (this.mode === 'capture') {
+      return this.sent;
+    }
+    if (this.mode === 'text') {
+      return this.text.length;
+    }
+    if (this.format === 'xml') {
+      const start = this.text.indexOf(TOOL_CALL_TAG, this.sent);
+      if (start !== -1) {
+        this.mode = 'capture';
+        return start;
+      }
+      // Hold back an ending that may grow into <tool_call>
+      for (let length = Math.min(TOOL_CALL_TAG.length - 1, this.text.length); length > 0; length--) {
+        if (TOOL_CALL_TAG.startsWith(this.text.substring(this.text.length - length))) {
+          return this.text.length - length;
+        }
+      }
+      return this.text.length;
+    }
+    // JSON: tool calls are the whole reply, so only a reply starting like JSON is held back
+    const trimmed = this.text.trimStart();
+    if (!trimmed) {
+      return 0;
+    }
+    this.mode = /^[{[`]/.test(trimmed) ? 'capture' : 'text';
+    return this.mode === 'capture' ? this.sent : this.text.length;
+  }
+
+  finish() {
+    const rest = this.text.substring(this.sent);
+    this.sent = this.text.length;
+    return rest;
+  }
+}
+
+// Response transform (see lib/response-transform.js) turning tool calls in the model's text
+// into tool_calls, for whole completions and streamed chunks (state is kept per choice)
+function createToolCallTransform({ tools, toolChoice, format, onInvalid }) {
+  const scanners = new Map();
+
+  // The text's tool calls if they are valid, otherwise just the text
+  const resolve = (text) => {
+    const { content, calls } = parseToolCalls(text, format);
+    if (calls.length === 0) {
+      return { content: text, toolCalls: null };
+    }
+    const problem = checkCalls(calls, tools, toolChoice);
+    if (problem) {
+      onInvalid(problem);
+      return { content: text, toolCalls: null };
+    }
+    return { content, toolCalls: toToolCalls(calls) };
+  };
+
+  // Chunks whose text is all held back are dropped (null), rather than sent as empty deltas
+  return (data) => {
+    if (!Array.isArray(data?.choices) || data.choices.length === 0) {
+      return data;
+    }
+    for (const choice of data.choices) {
+      if (choice.message) {
+        const { content, toolCalls } = resolve(textOf(choice.message.content));
+        if (toolCalls) {
+          choice.message.content = content || null;
+          choice.message.tool_calls = toolCalls.map(({ index, ...call }) => call);
+          choice.finish_reason = 'tool_calls';
+        }
+        continue;
+      }
+      if (!choice.delta) {
+        continue;
+      }
+
+      const index = choice.index ?? 0;
+      const scanner = scanners.get(index) || new ToolCallScanner(format);
+      scanners.set(index, scanner);
+      if (typeof choice.delta.content === 'string') {
+        const text = scanner.push(choice.delta.content);
+        if (text) {
+          choice.delta.content = text;
+        } else {
+          delete choice.delta.content;
+        }
+      }
+      if (choice.finish_reason) {
+        const rest = scanner.finish();
+        const { content, toolCalls } = rest ? resolve(rest) : { content: '', toolCalls: null };
+        if (content) {
+          choice.delta.content = (choice.delta.content || '') + content;
+        }
+        if (toolCalls) {
+          choice.delta.tool_calls = toolCalls;
+          choice.finish_reason = 'tool_calls';
+        }
+      }
+    }
+    data.choices = data.choices.filter(choice => !choice.delta || choice.finish_reason || Object.keys(choice.delta).length > 0);
+    return data.choices.length > 0 || data.usage ? data : null;
+  };
+}
+
+// Middleware: apply the shim to chat completions for the models in req.config.toolShim
+// ({ model: format }). Runs after model aliases are resolved, and before the context length
+// check so the tool descriptions count toward the prompt.
+export const toolShim = () => (req, res, next) => {
+  const models = req.config.toolShim;
+  const model = req.body?.model;
+  // The config file's toolShim section is a plain object - "constructor" is not a model
+  const format = typeof model === 'string' && Object.hasOwn(models, model) ? models[model] : null;
+  if (!format || req.method !== 'POST' || req.path !== '/v1/chat/completions' || !Array.isArray(req.body.messages)) {
+    return next();
+  }
+
+  const body = req.body;
+  const tools = Array.isArray(body.tools) ? body.tools.filter(tool => tool?.type === 'function' && tool.function?.name) : [];
+  const useTools = tools.length > 0 && body.tool_choice !== 'none';
+  if (useTools) {
+    const invalid = tools.findIndex((tool) => {
+      try {
+        validatorFor(tool.function.parameters);
+        return false;
+      } catch (err) {
+        return true;
+      }
+    });
+    if (invalid !== -1) {
+      return res.status(400).json(openAIError(
+        `Invalid schema for function '${tools[invalid].function.name}': the parameters are not a valid JSON schema.`,
+        'invalid_request_error',
+        'invalid_function_parameters',
+        `tools[${body.tools.indexOf(tools[invalid])}].function.parameters`
+      ));
+    }
+  }
+
+  const messages = toShimMessages(body.messages, format);
+  if (useTools) {
+    const prompt = toolPrompt(tools, body.tool_choice, body.parallel_tool_calls, format);
+    const first = messages[0];
+    if (first && ['system', 'developer'].includes(first.role) && typeof first.content === 'string') {
+      messages[0] = { ...first, content: `${first.content}\n\n${prompt}` };
+    } else {
+      messages.unshift({ role: 'system', content: prompt });
+    }
+
+    req.responseTransforms = req.responseTransforms || [];
+    req.responseTransforms.push(createToolCallTransform({
+      tools,
+      toolChoice: body.tool_choice,
+      format,
+      onInvalid: (reason) => req.log.warn('Tool call from the model ignored', { model: body.model, reason })
+    }));
+  }
+  req.log.debug('Tool shim applied', { model: body.model, format, tools: useTools ? tools.length : 0 });
+
+  body.messages = messages;
+  delete body.tools;
+  delete body.tool_choice;
+  delete body.parallel_tool_calls;
+  next();
+};
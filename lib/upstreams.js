@@ -0,0 +1,263 @@
+// LM Studio upstream pool with load balancing and passive health checks
+//
+// Upstreams are configured with LM_STUDIO_UPSTREAMS as a comma-separated list of
+// [name=]url[|weight[|maxConcurrency]] entries, e.g.
+//
+//   LM_STUDIO_UPSTREAMS=desk-1=http://192.168.50.193:5595|2|2,desk-2=http://192.168.50.194:5595
+//
+// maxConcurrency overrides UPSTREAM_MAX_CONCURRENCY for that upstream (see lib/queue.js).
+//
+// Health is tracked passively: a connection error (ECONNREFUSED, ETIMEDOUT, ...) marks an
+// upstream down for a cooldown period, after which it gets traffic again. Any response
+// from an upstream marks it healthy.
+//
+// Upstreams can be added, removed and drained at runtime through the admin API. A draining
+// upstream gets no new requests but finishes the ones it already has.
+
+export const STRATEGIES = ['round-robin', 'least-connections'];
+
+// Errors that mean the upstream itself is unreachable. ECONNRESET is left out on purpose:
+// it is also what a long generation hitting proxyTimeout looks like.
+export const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND'];
+
+// Parse "[name=]url[|weight[|maxConcurrency]]" entries
+export function parseUpstreams(value) {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map((entry, index) => {
+    let name = null;
+    let rest = entry;
+    const equals = entry.indexOf('=');
+    if (equals > 0 && !entry.substring(0, equals).includes('://')) {
+      name = entry.substring(0, equals);
+      rest = entry.substring(equals + 1);
+    }
+
+    const [url, weightText, maxConcurrencyText] = rest.split('|');
+    return validateUpstream({
+      name: name || `upstream-${index + 1}`,
+      url,
+      weight: weightText === undefined || weightText === '' ? 1 : Number(weightText),
+      maxConcurrency: maxConcurrencyText === undefined ? undefined : Number(maxConcurrencyText)
+    }, entry);
+  });
+}
+
+// Check an upstream definition (from LM_STUDIO_UPSTREAMS or the admin API) and normalize its URL
+export function validateUpstream({ name, url, weight = 1, maxConcurrency }, label = name) {
+  if (!name || typeof name !== 'string') {
+    throw new Error(`Invalid upstream "${label}": a name is required`);
+  }
+  if (!Number.isFinite(weight) || weight <= 0) {
+    throw new Error(`Invalid weight for upstream "${label}": must be a positive number`);
+  }
+  if (maxConcurrency !== undefined && maxConcurrency !== null && (!Number.isInteger(maxConcurrency) || maxConcurrency < 0)) {
+    throw new Error(`Invalid max concurrency for upstream "${label}": must be a non-negative integer`);
+  }
+  try {
+    new URL(url);
+  } catch (err) {
+    throw new Error(`Invalid upstream URL "${url}"`);
+  }
+  return { name, url: url.replace(/\/+$/, ''), weight, maxConcurrency: maxConcurrency ?? undefined };
+}
+
+function checkPoolSettings(upstreams, strategy) {
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown load balancing strategy "${strategy}" (expected ${STRATEGIES.join(' or ')})`);
+  }
+  if (upstreams.length === 0) {
+    throw new Error('At least one upstream is required');
+  }
+  const names = upstreams.map(upstream => upstream.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Upstream name "${duplicate}" is used more than once`);
+  }
+}
+
+export class UpstreamPool {
+  constructor(upstreams, { strategy = 'round-robin', cooldownMs = 30000 } = {}) {
+    checkPoolSettings(upstreams, strategy);
+    this.strategy = strategy;
+    this.cooldownMs = cooldownMs;
+    this.upstreams = upstreams.map(upstream => this.createEntry(upstream));
+  }
+
+  // Replace the upstream list and settings (config reload). Upstreams are matched by name
+  // and keep their health, counters and draining state; one whose URL changed counts as
+  // removed and re-added. Requests on removed upstreams finish on their connection.
+  // Returns { added, removed } pool entries.
+  reconfigure(upstreams, { strategy = this.strategy, cooldownMs = this.cooldownMs } = {}) {
+    checkPoolSettings(upstreams, strategy);
+    const definitions = upstreams.map(upstream => validateUpstream(upstream));
+    const added = [];
+    const next = definitions.map((definition) => {
+      const existing = this.find(definition.name);
+      if (existing && existing.url === definition.url) {
+        existing.weight = definition.weight;
+        existing.maxConcurrency = definition.maxConcurrency;
+        return existing;
+      }
+      const entry = this.createEntry(definition);
+      added.push(entry);
+      return entry;
+    });
+    const removed = this.upstreams.filter(upstream => !next.includes(upstream));
+
+    this.upstreams = next;
+    this.strategy = strategy;
+    this.cooldownMs = cooldownMs;
+    return { added, removed };
+  }
+
+  createEntry(upstream) {
+    return {
+      ...upstream,
+      status: 'unknown',         // unknown | healthy | down
+      downUntil: 0,
+      activeConnections: 0,
+      totalRequests: 0,
+      totalFailures: 0,
+      consecutiveFailures: 0,
+      lastError: null,
+      lastErrorAt: null,
+      currentWeight: 0,          // smooth weighted round-robin state
+      draining: false            // no new requests, in-flight ones finish
+    };
+  }
+
+  find(name) {
+    return this.upstreams.find(upstream => upstream.name === name) || null;
+  }
+
+  // Add an upstream at runtime (admin API). Returns the new pool entry.
+  add(upstream) {
+    const definition = validateUpstream(upstream);
+    if (this.find(definition.name)) {
+      throw new Error(`An upstream named "${definition.name}" already exists`);
+    }
+    const entry = this.createEntry(definition);
+    this.upstreams.push(entry);
+    return entry;
+  }
+
+  // Change an upstream's weight and max concurrency at runtime
+  update(upstream, { weight, maxConcurrency }) {
+    const definition = validateUpstream({ ...upstream, weight, maxConcurrency });
+    upstream.weight = definition.weight;
+    upstream.maxConcurrency = definition.maxConcurrency;
+    return upstream;
+  }
+
+  // Remove an upstream at runtime. Requests already on it keep their connection.
+  // Returns the removed entry (null if not found).
+  remove(name) {
+    const upstream = this.find(name);
+    if (!upstream) {
+      return null;
+    }
+    if (this.upstreams.length === 1) {
+      throw new Error('Cannot remove the last upstream - add another one first, or drain it instead');
+    }
+    this.upstreams = this.upstreams.filter(other => other !== upstream);
+    return upstream;
+  }
+
+  isAvailable(upstream, now = Date.now()) {
+    return upstream.status !== 'down' || now >= upstream.downUntil;
+  }
+
+  // Upstreams that may get new requests (draining ones only finish what they have)
+  get accepting() {
+    return this.upstreams.filter(upstream => !upstream.draining);
+  }
+
+  // Pick an upstream, skipping any in `exclude` (already tried for this request) and,
+  // if `allowed` is given, any upstream not in it (e.g. ones that don't serve the model).
+  // If every remaining upstream is marked down, they are tried anyway rather than failing outright.
+  select(exclude = [], allowed = null) {
+    const candidates = this.accepting.filter(upstream =>
+      !exclude.includes(upstream) && (!allowed || allowed.includes(upstream))
+    );
+    if (candidates.length === 0) {
+      return null;
+    }
+    const available = candidates.filter(upstream => this.isAvailable(upstream));
+    const pool = available.length > 0 ? available : candidates;
+
+    return this.strategy === 'least-connections' ? this.leastConnections(pool) : this.weightedRoundRobin(pool);
+  }
+
+  // Smooth weighted round-robin (as used by nginx): spreads picks evenly by weight
+  weightedRoundRobin(pool) {
+    const totalWeight = pool.reduce((sum, upstream) => sum + upstream.weight, 0);
+    let best = null;
+    for (const upstream of pool) {
+      upstream.currentWeight += upstream.weight;
+      if (!best || upstream.currentWeight > best.currentWeight) {
+        best = upstream;
+      }
+    }
+    best.currentWeight -= totalWeight;
+    return best;
+  }
+
+  // Fewest active connections relative to weight, ties broken by list order
+  leastConnections(pool) {
+    return pool.reduce((best, upstream) =>
+      upstream.activeConnections / upstream.weight < best.activeConnections / best.weight ? upstream : best
+    );
+  }
+
+  // Track a request starting on an upstream. Returns a release() function.
+  acquire(upstream) {
+    upstream.activeConnections += 1;
+    upstream.totalRequests += 1;
+    let released = false;
+    return () => {
+      if (!released) {
+        released = true;
+        upstream.activeConnections -= 1;
+      }
+    };
+  }
+
+  markSuccess(upstream) {
+    upstream.status = 'healthy';
+    upstream.consecutiveFailures = 0;
+    upstream.downUntil = 0;
+  }
+
+  markFailure(upstream, err) {
+    upstream.totalFailures += 1;
+    upstream.consecutiveFailures += 1;
+    upstream.lastError = err.code || err.message;
+    upstream.lastErrorAt = new Date().toISOString();
+    if (CONNECTION_ERROR_CODES.includes(err.code)) {
+      upstream.status = 'down';
+      upstream.downUntil = Date.now() + this.cooldownMs;
+    }
+  }
+
+  // Status for /health
+  status() {
+    const now = Date.now();
+    return this.upstreams.map(upstream => ({
+      name: upstream.name,
+      url: upstream.url,
+      weight: upstream.weight,
+      maxConcurrency: upstream.maxConcurrency ?? null,
+      status: upstream.status,
+      draining: upstream.draining,
+      retryAt: upstream.status === 'down' && upstream.downUntil > now ? new Date(upstream.downUntil).toISOString() : null,
+      activeConnections: upstream.activeConnections,
+      totalRequests: upstream.totalRequests,
+      totalFailures: upstream.totalFailures,
+      lastError: upstream.lastError,
+      lastErrorAt: upstream.lastErrorAt
+    }));
+  }
+
+  hasAvailable() {
+    return this.accepting.some(upstream => this.isAvailable(upstream));
+  }
+}
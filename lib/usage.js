@@ -0,0 +1,219 @@
+import { appendFile, readFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { logger } from './logger.js';
+
+// Token usage extraction from LM Studio responses
+// Non-streaming responses carry a `usage` block in the JSON body. Streaming responses
+// (text/event-stream) carry it in the final data chunk before `data: [DONE]`.
+// The observer only listens to the response - it never modifies what is piped to the client.
+
+const MAX_JSON_BODY_BYTES = 10 * 1024 * 1024; // don't buffer huge non-JSON-ish bodies forever
+
+// Normalize an OpenAI-style usage block
+export function normalizeUsage(usage) {
+  if (!usage || typeof usage !== 'object') {
+    return null;
+  }
+  const promptTokens = Number(usage.prompt_tokens) || 0;
+  const completionTokens = Number(usage.completion_tokens) || 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: Number(usage.total_tokens) || promptTokens + completionTokens
+  };
+}
+
+// Observe a proxied response and call onUsage(usage, model) once it has ended
+// usage is null when the response didn't include one.
+export function observeUsage(proxyRes, onUsage) {
+  const contentType = proxyRes.headers['content-type'] || '';
+  const isEventStream = contentType.includes('text/event-stream');
+  const isJson = contentType.includes('application/json');
+
+  if (!isEventStream && !isJson) {
+    proxyRes.on('end', () => onUsage(null, null));
+    return;
+  }
+
+  let usage = null;
+  let model = null;
+
+  if (isEventStream) {
+    // Scan SSE lines as they arrive, remembering the last usage block seen
+    let buffered = '';
+    const scanLine = (line) => {
+      if (!line.startsWith('data:')) {
+        return;
+      }
+      const data = line.substring(5).trim();
+      if (!data || data === '[DONE]') {
+        return;
+      }
+      try {
+        const event = JSON.parse(data);
+        model = event.model || model;
+        if (event.usage) {
+          usage = normalizeUsage(event.usage);
+        }
+      } catch (err) {
+        // Not JSON - ignore
+      }
+    };
+
+    proxyRes.on('data', (chunk) => {
+      buffered += chunk.toString('utf-8');
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      lines.forEach(scanLine);
+    });
+    proxyRes.on('end', () => {
+      scanLine(buffered);
+      onUsage(usage, model);
+    });
+    return;
+  }
+
+  const chunks = [];
+  let size = 0;
+  proxyRes.on('data', (chunk) => {
+    size += chunk.length;
+    if (size <= MAX_JSON_BODY_BYTES) {
+      chunks.push(chunk);
+    }
+  });
+  proxyRes.on('end', () => {
+    if (size <= MAX_JSON_BODY_BYTES) {
+      try {
+        const body = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+        usage = normalizeUsage(body.usage);
+        model = body.model || null;
+      } catch (err) {
+        // Not JSON - no usage
+      }
+    }
+    onUsage(usage, model);
+  });
+}
+
+const STREAM_USAGE_ROUTES = ['/v1/chat/completions', '/v1/completions'];
+
+// Response transform: drop the usage chunk (and `usage` fields) of a stream whose client
+// didn't ask for them
+function stripStreamUsage(data) {
+  if (!data || typeof data !== 'object' || !('usage' in data)) {
+    return data;
+  }
+  if (Array.isArray(data.choices) && data.choices.length === 0) {
+    return null;
+  }
+  delete data.usage;
+  return data;
+}
+
+// Middleware: streams only carry usage when the request sets stream_options.include_usage,
+// so it is set on every streamed completion - otherwise streamed requests wouldn't count
+// toward token budgets or the usage log. Clients that didn't ask for the usage chunk don't
+// get it. Translated requests (see lib/api-adapter.js) ask for usage themselves.
+export const requestStreamUsage = () => (req, res, next) => {
+  const body = req.body;
+  if (req.method !== 'POST' || !STREAM_USAGE_ROUTES.includes(req.path) || req.responseAdapter ||
+      !body || typeof body !== 'object' || body.stream !== true || body.stream_options?.include_usage === true) {
+    return next();
+  }
+  body.stream_options = { ...body.stream_options, include_usage: true };
+  req.responseTransforms = req.responseTransforms || [];
+  req.responseTransforms.push(stripStreamUsage);
+  next();
+};
+
+// Persistent per-request usage log (JSON Lines, default: data/usage.jsonl)
+// Each line: { timestamp, keyId, keyName, model, method, path, status, stream,
+//              promptTokens, completionTokens, totalTokens, latencyMs }
+export const DEFAULT_USAGE_LOG_PATH = 'data/usage.jsonl';
+
+export class UsageLog {
+  constructor(filePath = DEFAULT_USAGE_LOG_PATH) {
+    this.filePath = resolve(filePath);
+    mkdirSync(dirname(this.filePath), { recursive: true });
+  }
+
+  record(entry) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n';
+    appendFile(this.filePath, line, (err) => {
+      if (err) {
+        logger.error('Failed to write usage log', { file: this.filePath, error: err });
+      }
+    });
+  }
+
+  // Read all entries (optionally only those with from <= timestamp < to)
+  read({ from = null, to = null } = {}) {
+    if (!existsSync(this.filePath)) {
+      return [];
+    }
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+    const entries = [];
+    for (const line of readFileSync(this.filePath, 'utf-8').split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        const entry = JSON.parse(line);
+        const time = new Date(entry.timestamp).getTime();
+        if (time >= fromTime && time < toTime) {
+          entries.push(entry);
+        }
+      } catch (err) {
+        // Skip partially written/corrupt lines
+      }
+    }
+    return entries;
+  }
+}
+
+function emptyTotals() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, totalLatencyMs: 0 };
+}
+
+function addEntry(totals, entry) {
+  totals.requests += 1;
+  totals.promptTokens += entry.promptTokens || 0;
+  totals.completionTokens += entry.completionTokens || 0;
+  totals.totalTokens += entry.totalTokens || 0;
+  totals.totalLatencyMs += entry.latencyMs || 0;
+}
+
+function finishTotals(totals) {
+  const { totalLatencyMs, ...rest } = totals;
+  return { ...rest, avgLatencyMs: totals.requests > 0 ? Math.round(totalLatencyMs / totals.requests) : 0 };
+}
+
+// Aggregate usage entries into totals grouped by key, model and (UTC) day
+export function summarizeUsage(entries) {
+  const totals = emptyTotals();
+  const byKey = new Map();
+  const byModel = new Map();
+  const byDay = new Map();
+
+  const group = (map, id, extra) => {
+    if (!map.has(id)) {
+      map.set(id, { ...extra, ...emptyTotals() });
+    }
+    return map.get(id);
+  };
+
+  for (const entry of entries) {
+    addEntry(totals, entry);
+    addEntry(group(byKey, entry.keyId || 'unknown', { keyId: entry.keyId || 'unknown', keyName: entry.keyName || null }), entry);
+    addEntry(group(byModel, entry.model || 'unknown', { model: entry.model || 'unknown' }), entry);
+    addEntry(group(byDay, entry.timestamp.substring(0, 10), { day: entry.timestamp.substring(0, 10) }), entry);
+  }
+
+  return {
+    totals: finishTotals(totals),
+    byKey: [...byKey.values()].map(finishTotals),
+    byModel: [...byModel.values()].map(finishTotals),
+    byDay: [...byDay.values()].map(finishTotals).sort((a, b) => a.day.localeCompare(b.day))
+  };
+}
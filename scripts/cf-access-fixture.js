@@ -0,0 +1,86 @@
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { normalizeTeamDomain } from '../lib/cf-access.js';
+
+// Local Cloudflare Access fixture for testing Access authentication offline
+// Creates a signing key and a JWKS file (once), then prints a signed
+// Cf-Access-Jwt-Assertion token for the given identity.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = join(__dirname, '..');
+
+// Load .env file (for CF_ACCESS_TEAM_DOMAIN and CF_ACCESS_AUD)
+const envPath = join(projectRoot, '.env');
+if (existsSync(envPath)) {
+  dotenv.config({ path: envPath });
+}
+
+// Parse "--flag value" style arguments
+function getArg(args, ...names) {
+  for (const name of names) {
+    const index = args.indexOf(name);
+    if (index !== -1 && index + 1 < args.length) {
+      return args[index + 1];
+    }
+  }
+  return null;
+}
+
+const args = process.argv.slice(2);
+const dir = resolve(projectRoot, getArg(args, '--dir') || 'data/cf-access-fixture');
+const teamDomain = normalizeTeamDomain(getArg(args, '--team') || process.env.CF_ACCESS_TEAM_DOMAIN || 'underpass-test');
+const audience = getArg(args, '--aud') || (process.env.CF_ACCESS_AUD || 'underpass-test-audience').split(',')[0].trim();
+const email = getArg(args, '--email', '-e');
+const serviceToken = getArg(args, '--service-token');
+const groups = (getArg(args, '--groups', '-g') || '').split(',').map(item => item.trim()).filter(Boolean);
+const expiresIn = parseInt(getArg(args, '--expires-in') || '3600', 10);
+
+if (!email && !serviceToken) {
+  console.error('❌ Error: --email or --service-token is required');
+  console.error('   Example: npm run cf-access:fixture -- --email alice@example.com --groups ml-team');
+  process.exit(1);
+}
+
+// Signing key and JWKS (kept between runs so issued tokens stay valid)
+const privateKeyPath = join(dir, 'private-key.pem');
+const jwksPath = join(dir, 'jwks.json');
+if (!existsSync(privateKeyPath)) {
+  mkdirSync(dir, { recursive: true });
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  writeFileSync(privateKeyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  writeFileSync(jwksPath, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] }, null, 2) + '\n');
+  console.log(`🔐 Created signing key and JWKS in ${dir}`);
+}
+
+const privateKey = crypto.createPrivateKey(readFileSync(privateKeyPath, 'utf-8'));
+const { kid } = JSON.parse(readFileSync(jwksPath, 'utf-8')).keys[0];
+
+const now = Math.floor(Date.now() / 1000);
+const claims = {
+  aud: [audience],
+  iss: `https://${teamDomain}`,
+  sub: crypto.randomUUID(),
+  iat: now,
+  nbf: now,
+  exp: now + expiresIn,
+  type: 'app',
+  ...(email ? { email, identity_nonce: crypto.randomBytes(8).toString('hex') } : { common_name: serviceToken }),
+  ...(groups.length > 0 ? { groups } : {})
+};
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const unsigned = `${encode({ alg: 'RS256', kid, typ: 'JWT' })}.${encode(claims)}`;
+const signature = crypto.sign('sha256', Buffer.from(unsigned), privateKey).toString('base64url');
+
+console.log('\n🎫 Cf-Access-Jwt-Assertion token:');
+console.log(`${unsigned}.${signature}`);
+console.log('\n💡 Server settings for this fixture (.env):');
+console.log(`   CF_ACCESS_TEAM_DOMAIN=${teamDomain}`);
+console.log(`   CF_ACCESS_AUD=${audience}`);
+console.log(`   CF_ACCESS_JWKS_FILE=${jwksPath}`);
+console.log(`\n   Expires: ${new Date(claims.exp * 1000).toISOString()}\n`);
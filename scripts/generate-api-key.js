@@ -1,76 +1,174 @@
-import crypto from 'crypto';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
+import dotenv from 'dotenv';
+import { existsSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
+import { KeyStore, DEFAULT_KEY_STORE_PATH, generateApiKey, isExpired } from '../lib/key-store.js';
+import { PRIORITIES, DEFAULT_PRIORITY } from '../lib/queue.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const projectRoot = join(__dirname, '..');
 
-// Generate a secure random API key
-function generateApiKey() {
-  // Generate 32 random bytes and convert to hex (64 characters)
-  const randomBytes = crypto.randomBytes(32);
-  const hexString = randomBytes.toString('hex');
-  
-  // Return as OpenAPI format (sk- prefix + hex string)
-  return `sk-${hexString}`;
+// Load .env file (for API_KEYS_FILE)
+const envPath = join(projectRoot, '.env');
+if (existsSync(envPath)) {
+  dotenv.config({ path: envPath });
 }
 
-// Read .env file if it exists
-function readEnvFile() {
-  const envPath = join(projectRoot, '.env');
-  if (!existsSync(envPath)) {
-    return null;
+const API_KEYS_FILE = resolve(projectRoot, process.env.API_KEYS_FILE || DEFAULT_KEY_STORE_PATH);
+
+// Parse "--flag value" style arguments
+function getArg(args, ...names) {
+  for (const name of names) {
+    const index = args.indexOf(name);
+    if (index !== -1 && index + 1 < args.length) {
+      return args[index + 1];
+    }
   }
-  return readFileSync(envPath, 'utf-8');
+  return null;
 }
 
-// Update or create .env file with new API key
-function updateEnvFile(newKey) {
-  const envPath = join(projectRoot, '.env');
-  const envExamplePath = join(projectRoot, '.env.example');
-  
-  let envContent;
-  
-  if (existsSync(envPath)) {
-    // Read existing .env file
-    envContent = readFileSync(envPath, 'utf-8');
-    
-    // Replace existing API_KEY if present, otherwise add it
-    if (envContent.includes('API_KEY=')) {
-      envContent = envContent.replace(/API_KEY=.*/g, `API_KEY=${newKey}`);
-    } else {
-      envContent += `\nAPI_KEY=${newKey}\n`;
-    }
-  } else {
-    // Create new .env from .env.example if it exists
-    if (existsSync(envExamplePath)) {
-      envContent = readFileSync(envExamplePath, 'utf-8');
-      envContent = envContent.replace(/API_KEY=.*/g, `API_KEY=${newKey}`);
-    } else {
-      // Create minimal .env file
-      envContent = `API_KEY=${newKey}\n`;
+// Split a comma-separated list argument
+function getListArg(args, ...names) {
+  const value = getArg(args, ...names);
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
+}
+
+// Collect per-key limits from --rpm, --concurrent, --daily-prompt-tokens, --daily-completion-tokens,
+// --max-tokens, --max-n
+function getLimitArgs(args) {
+  const limits = {};
+  const flags = {
+    rpm: '--rpm',
+    concurrent: '--concurrent',
+    dailyPromptTokens: '--daily-prompt-tokens',
+    dailyCompletionTokens: '--daily-completion-tokens',
+    maxTokens: '--max-tokens',
+    maxN: '--max-n'
+  };
+  for (const [name, flag] of Object.entries(flags)) {
+    const value = getArg(args, flag);
+    if (value !== null) {
+      if (!/^\d+$/.test(value)) {
+        throw new Error(`${flag} must be a non-negative integer`);
+      }
+      limits[name] = parseInt(value, 10);
     }
   }
-  
-  writeFileSync(envPath, envContent, 'utf-8');
-  console.log(`✅ API key saved to .env file`);
+  return limits;
 }
 
-// Main execution
-const newApiKey = generateApiKey();
+// Format a key's limits for display
+function formatLimits(limits = {}) {
+  const entries = Object.entries(limits);
+  return entries.length > 0 ? entries.map(([name, value]) => `${name}=${value}`).join(', ') : 'defaults';
+}
 
-console.log('\n🔑 Generated new API key:');
-console.log(newApiKey);
-console.log('\n');
+// Add a named key to the key store
+function saveKey(args) {
+  const name = getArg(args, '--name', '-n');
+  if (!name) {
+    console.error('❌ Error: --name is required when saving a key');
+    console.error('   Example: npm run generate-key:save -- --name ci-runner --owner alice@example.com');
+    process.exit(1);
+  }
 
-// Ask if user wants to update .env file
-const args = process.argv.slice(2);
-if (args.includes('--save') || args.includes('-s')) {
-  updateEnvFile(newApiKey);
-} else {
-  console.log('💡 Tip: Add --save or -s flag to automatically update your .env file');
-  console.log('   Example: npm run generate-key -- --save\n');
+  const priority = getArg(args, '--priority') || DEFAULT_PRIORITY;
+  if (!PRIORITIES.includes(priority)) {
+    throw new Error(`--priority must be one of: ${PRIORITIES.join(', ')}`);
+  }
+
+  const store = new KeyStore(API_KEYS_FILE);
+  const { key, record } = store.create({
+    name,
+    owner: getArg(args, '--owner', '-o'),
+    expiresAt: getArg(args, '--expires', '-e'),
+    scopes: getListArg(args, '--scopes') || undefined,
+    routes: getListArg(args, '--routes') || [],
+    models: getListArg(args, '--models') || [],
+    allowedIps: getListArg(args, '--allowed-ips') || [],
+    limits: getLimitArgs(args),
+    priority
+  });
+  store.save();
+
+  console.log('\n🔑 Generated new API key:');
+  console.log(key);
+  console.log('\n');
+  console.log(`✅ Key "${record.name}" (${record.id}) saved to ${store.filePath}`);
+  console.log(`   Owner:   ${record.owner || '(none)'}`);
+  console.log(`   Expires: ${record.expiresAt || 'never'}`);
+  console.log(`   Scopes:  ${record.scopes.join(', ')}`);
+  console.log(`   Routes:  ${record.routes.length > 0 ? record.routes.join(', ') : 'all'}`);
+  console.log(`   Models:  ${record.models.length > 0 ? record.models.join(', ') : 'all'}`);
+  console.log(`   IPs:     ${record.allowedIps.length > 0 ? record.allowedIps.join(', ') : 'any'}`);
+  console.log(`   Limits:  ${formatLimits(record.limits)}`);
+  console.log(`   Priority: ${record.priority}`);
+  console.log('\n⚠️  The key is stored hashed - copy it now, it cannot be shown again.\n');
 }
 
+// Print all keys in the store (without hashes)
+function listKeys() {
+  const store = new KeyStore(API_KEYS_FILE);
+  if (store.size === 0) {
+    console.log(`No keys in ${store.filePath}`);
+    return;
+  }
+
+  console.log(`\n🔑 API keys in ${store.filePath}:\n`);
+  for (const record of store.list()) {
+    const status = record.revoked ? 'revoked' : isExpired(record) ? 'expired' : 'active';
+    console.log(`  ${record.id}  ${record.name}  [${status}]`);
+    console.log(`     prefix: ${record.prefix}...  owner: ${record.owner || '(none)'}  created: ${record.createdAt}  expires: ${record.expiresAt || 'never'}`);
+    console.log(`     scopes: ${(record.scopes || []).join(', ')}  routes: ${record.routes?.length ? record.routes.join(', ') : 'all'}  models: ${record.models?.length ? record.models.join(', ') : 'all'}`);
+    console.log(`     ips: ${record.allowedIps?.length ? record.allowedIps.join(', ') : 'any'}  limits: ${formatLimits(record.limits)}  priority: ${record.priority || DEFAULT_PRIORITY}`);
+  }
+  console.log('');
+}
+
+// Revoke a key by id or name
+function revokeKey(idOrName) {
+  const store = new KeyStore(API_KEYS_FILE);
+  const record = store.revoke(idOrName);
+  if (!record) {
+    console.error(`❌ Error: No key found with id or name "${idOrName}"`);
+    process.exit(1);
+  }
+  store.save();
+  console.log(`✅ Key "${record.name}" (${record.id}) revoked`);
+}
+
+// Main execution
+const args = process.argv.slice(2);
+
+try {
+  if (args.includes('--list') || args.includes('-l')) {
+    listKeys();
+  } else if (args.includes('--revoke') || args.includes('-r')) {
+    const idOrName = getArg(args, '--revoke', '-r');
+    if (!idOrName) {
+      console.error('❌ Error: --revoke requires a key id or name');
+      process.exit(1);
+    }
+    revokeKey(idOrName);
+  } else if (args.includes('--save') || args.includes('-s')) {
+    saveKey(args);
+  } else {
+    const newApiKey = generateApiKey();
+
+    console.log('\n🔑 Generated new API key:');
+    console.log(newApiKey);
+    console.log('\n');
+    console.log('💡 Tip: Add --save --name <name> to add the key to the key store');
+    console.log('   Example: npm run generate-key:save -- --name ci-runner --owner alice@example.com --expires 2026-01-01');
+    console.log('   Other options: --routes /v1/chat/completions,/v1/models --models qwen2.5-coder --scopes inference');
+    console.log('   IP allowlist:  --allowed-ips 203.0.113.7,2001:db8::/32');
+    console.log('   Rate limits:   --rpm 60 --concurrent 2 --daily-prompt-tokens 500000 --daily-completion-tokens 100000');
+    console.log('   Request caps:  --max-tokens 4096 --max-n 1');
+    console.log('   Queue:         --priority high|normal|low');
+    console.log('   Manage keys:   npm run generate-key -- --list | --revoke <id|name>\n');
+  }
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
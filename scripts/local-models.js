@@ -2,6 +2,7 @@ import dotenv from 'dotenv';
 import { existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { parseUpstreams } from '../lib/upstreams.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -14,24 +15,37 @@ if (existsSync(envPath)) {
 }
 
 const LM_STUDIO_URL = process.env.LM_STUDIO_URL || 'http://192.168.50.193:5595';
-const url = `${LM_STUDIO_URL}/v1/models`;
+const upstreams = process.env.LM_STUDIO_UPSTREAMS
+  ? parseUpstreams(process.env.LM_STUDIO_UPSTREAMS)
+  : [{ name: 'default', url: LM_STUDIO_URL }];
 
-try {
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json'
-    }
-  });
+// List models on every configured LM Studio backend
+let failed = false;
+for (const upstream of upstreams) {
+  const url = `${upstream.url}/v1/models`;
+  console.log(`${upstream.name} (${url}):`);
+
+  try {
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
 
-  const data = await response.json();
-  console.log(JSON.stringify(data, null, 2));
-  
-  if (!response.ok) {
-    process.exit(1);
+    const data = await response.json();
+    console.log(JSON.stringify(data, null, 2));
+    
+    if (!response.ok) {
+      failed = true;
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    failed = true;
   }
-} catch (error) {
-  console.error('Error:', error.message);
-  process.exit(1);
+  console.log('');
 }
 
+if (failed) {
+  process.exit(1);
+}
@@ -159,8 +159,8 @@ async function testHealth() {
     if (response.ok && data && data.status === 'ok') {
       console.log('   ✅ Health check passed');
       console.log(`   📊 Response data:`, JSON.stringify(data, null, 2));
-      if (data.lmStudioUrl) {
-        console.log(`   🔗 LM Studio URL: ${data.lmStudioUrl}`);
+      for (const upstream of data.upstreams || []) {
+        console.log(`   🔗 LM Studio upstream ${upstream.name}: ${upstream.url} (${upstream.status})`);
       }
       return true;
     } else {
@@ -326,7 +326,7 @@ async function testApiEndpoint() {
         console.log(`      - Check that API_KEY starts with "sk-"`);
         console.log(`      - Ensure Authorization header format is correct: "Bearer sk-..."`);
         if (responseData && responseData.error) {
-          console.log(`      - Server error: ${responseData.error}`);
+          console.log(`      - Server error: ${responseData.error.message || responseData.error}`);
         }
       } else if (response.status === 403) {
         console.log(`   🔴 403 Forbidden - Access denied`);
@@ -334,7 +334,7 @@ async function testApiEndpoint() {
         console.log(`      - Check ALLOWED_IPS in .env (may be blocking your IP)`);
         console.log(`      - For development, set ALLOWED_IPS to empty or include your IP`);
         if (responseData && responseData.error) {
-          console.log(`      - Server error: ${responseData.error}`);
+          console.log(`      - Server error: ${responseData.error.message || responseData.error}`);
         }
       } else if (response.status === 502) {
         console.log(`   🔴 502 Bad Gateway - Cannot reach LM Studio`);
@@ -342,8 +342,8 @@ async function testApiEndpoint() {
         console.log(`      - Verify LM Studio is running`);
         console.log(`      - Check LM_STUDIO_URL in .env: ${LM_STUDIO_URL || 'not set'}`);
         console.log(`      - Test LM Studio directly: curl ${LM_STUDIO_URL || 'http://localhost:5595'}/v1/models`);
-        if (responseData && responseData.message) {
-          console.log(`      - Server message: ${responseData.message}`);
+        if (responseData && responseData.error) {
+          console.log(`      - Server message: ${responseData.error.message || responseData.message}`);
         }
       } else if (response.status === 404) {
         console.log(`   🔴 404 Not Found - Endpoint not found`);
@@ -2,6 +2,36 @@ import express from 'express';
 import { createProxyMiddleware } from 'http-proxy-middleware';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import { createHash, timingSafeEqual } from 'crypto';
+import { KeyStore, DEFAULT_KEY_STORE_PATH, isExpired, isRouteAllowed, isModelAllowed, hasScope } from './lib/key-store.js';
+import { bufferJsonBody, isJsonRequest, writeBufferedBody } from './lib/body.js';
+import { RateLimiter, rateLimit, dayKey } from './lib/rate-limit.js';
+import { UpstreamPool, parseUpstreams, validateUpstream } from './lib/upstreams.js';
+import { ModelInventory, MODEL_ROUTES } from './lib/model-inventory.js';
+import { RequestQueue, QueueFullError, QueueTimeoutError, QueueAbortedError } from './lib/queue.js';
+import { ModelAliases, parseAliases, applyModelAliases } from './lib/aliases.js';
+import { sendTransformedResponse } from './lib/response-transform.js';
+import { keepAlive, sendKeepAliveResponse, endWithError } from './lib/keep-alive.js';
+import { logger, RotatingFile, requestIdFor } from './lib/logger.js';
+import { observeUsage, requestStreamUsage, UsageLog, DEFAULT_USAGE_LOG_PATH } from './lib/usage.js';
+import { createProxyMetrics, routeLabel } from './lib/metrics.js';
+import { CloudflareAccess, AccessTokenError, JWT_HEADER } from './lib/cf-access.js';
+import { IpList, parseIpList, resolveClientIp, checkIpAccess, isIpAllowedForKey, DEFAULT_TRUSTED_PROXIES } from './lib/ip-access.js';
+import { createAdminRouter, AuditLog, DEFAULT_AUDIT_LOG_PATH } from './lib/admin.js';
+import { RecentBuffer } from './lib/dashboard.js';
+import { ConfigFile, ConfigError } from './lib/config.js';
+import { ResponseCache, cacheResponses, DEFAULT_CACHE_DIR } from './lib/cache.js';
+import { anthropicErrors, anthropicMessages } from './lib/anthropic.js';
+import { ollamaApi, isOllamaRequest, toOllamaTags } from './lib/ollama.js';
+import { ResponseStore, responsesApi, DEFAULT_RESPONSE_STORE_DIR } from './lib/responses.js';
+import { canonicalizePath } from './lib/request-path.js';
+import { contentPolicy, validateContentPolicy } from './lib/content-policy.js';
+import { proxyErrorBody } from './lib/errors.js';
+import { checkContextLength, parseContextLengths, CONTEXT_CHECK_MODES } from './lib/context-length.js';
+import { validateRequest } from './lib/request-validation.js';
+import { toolShim, parseToolShimModels } from './lib/tool-shim.js';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
 
 dotenv.config();
 
@@ -9,111 +39,391 @@ const app = express();
 // Disable X-Powered-By header to make proxy transparent
 app.disable('x-powered-by');
 const PORT = process.env.PORT || 3000;
+// Optional YAML/JSON config file (see lib/config.js) - reloaded when it changes or on SIGHUP
+const CONFIG_FILE = process.env.CONFIG_FILE || null;
+const CONFIG_WATCH = process.env.CONFIG_WATCH !== 'false';
 const LM_STUDIO_URL = process.env.LM_STUDIO_URL || 'http://192.168.50.193:5595';
-const API_KEY = process.env.API_KEY || 'sk-1234567890abcdef1234567890abcdef';
-const ALLOWED_IPS = process.env.ALLOWED_IPS ? process.env.ALLOWED_IPS.split(',') : [];
+// Multiple LM Studio backends: "[name=]url[|weight],..." (falls back to LM_STUDIO_URL)
+const LM_STUDIO_UPSTREAMS = process.env.LM_STUDIO_UPSTREAMS
+  ? parseUpstreams(process.env.LM_STUDIO_UPSTREAMS)
+  : [{ name: 'default', url: LM_STUDIO_URL, weight: 1 }];
+const LOAD_BALANCING = process.env.LOAD_BALANCING || 'round-robin';
+const UPSTREAM_COOLDOWN_MS = parseInt(process.env.UPSTREAM_COOLDOWN_MS || '30000', 10);
+// Request queue: max concurrent requests per upstream (0 = unlimited), queue length and max wait
+const UPSTREAM_MAX_CONCURRENCY = parseInt(process.env.UPSTREAM_MAX_CONCURRENCY || '0', 10);
+const QUEUE_MAX_LENGTH = parseInt(process.env.QUEUE_MAX_LENGTH || '100', 10);
+const QUEUE_MAX_WAIT_MS = parseInt(process.env.QUEUE_MAX_WAIT_MS || '60000', 10);
+const MODEL_POLL_INTERVAL_MS = parseInt(process.env.MODEL_POLL_INTERVAL_MS || '30000', 10);
+// Idle timeout for LM Studio responses - heartbeats keep Cloudflare's 100s limit from applying
+const UPSTREAM_TIMEOUT_MS = parseInt(process.env.UPSTREAM_TIMEOUT_MS || '600000', 10);
+// How long in-flight requests get to finish after SIGTERM/SIGINT
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '30000', 10);
+// Keep-alive heartbeats while waiting for the first token (0 = off)
+const KEEPALIVE_INTERVAL_MS = parseInt(process.env.KEEPALIVE_INTERVAL_MS || '15000', 10);
+// Opt-in: stream non-streaming completions internally so they can get heartbeats too
+const KEEPALIVE_NON_STREAMING = process.env.KEEPALIVE_NON_STREAMING === 'true';
+// Opt-in response cache for embeddings and temperature 0 completions: "memory" or "disk"
+const RESPONSE_CACHE = process.env.RESPONSE_CACHE || null;
+const RESPONSE_CACHE_DIR = process.env.RESPONSE_CACHE_DIR || DEFAULT_CACHE_DIR;
+const RESPONSE_CACHE_TTL_MS = parseInt(process.env.RESPONSE_CACHE_TTL_MS || '3600000', 10);
+const RESPONSE_CACHE_MAX_ENTRIES = parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES || '1000', 10);
+const RESPONSE_CACHE_MAX_BYTES = parseInt(process.env.RESPONSE_CACHE_MAX_BYTES || '104857600', 10);
+// Responses API conversation state (previous_response_id): "memory", "disk" or "off"
+const RESPONSES_STORE = process.env.RESPONSES_STORE || 'memory';
+const RESPONSES_STORE_DIR = process.env.RESPONSES_STORE_DIR || DEFAULT_RESPONSE_STORE_DIR;
+const RESPONSES_STORE_TTL_MS = parseInt(process.env.RESPONSES_STORE_TTL_MS || '2592000000', 10);
+const RESPONSES_STORE_MAX_ENTRIES = parseInt(process.env.RESPONSES_STORE_MAX_ENTRIES || '1000', 10);
+// Model aliases: "alias=model,..." ("@loaded" = whatever model is loaded)
+const MODEL_ALIASES = parseAliases(process.env.MODEL_ALIASES || '');
+// Models that get tool calling through the prompt (model=json or model=xml, see lib/tool-shim.js)
+const TOOL_SHIM_MODELS = parseToolShimModels(process.env.TOOL_SHIM_MODELS || '');
+// Pre-flight context length check: "reject" oversized prompts, "trim" old chat messages, or "off"
+const CONTEXT = {
+  check: process.env.CONTEXT_CHECK || 'reject',
+  // "model=tokens,..." - otherwise the context length LM Studio reports is used
+  lengths: parseContextLengths(process.env.CONTEXT_LENGTHS || ''),
+  reserveTokens: parseInt(process.env.CONTEXT_RESERVE_TOKENS || '256', 10),
+  charsPerToken: parseFloat(process.env.CONTEXT_CHARS_PER_TOKEN || '4')
+};
+const API_KEYS_FILE = process.env.API_KEYS_FILE || DEFAULT_KEY_STORE_PATH;
+const USAGE_LOG_FILE = process.env.USAGE_LOG_FILE || DEFAULT_USAGE_LOG_PATH;
+// IP access control: IPs/CIDR ranges (IPv4 or IPv6) or the keywords "loopback" and "private"
+const ALLOWED_IPS = parseIpList(process.env.ALLOWED_IPS);
+const DENIED_IPS = parseIpList(process.env.DENIED_IPS);
+// Peers whose CF-Connecting-IP / X-Forwarded-For headers are believed (cloudflared runs locally)
+const TRUSTED_PROXIES = parseIpList(process.env.TRUSTED_PROXIES ?? DEFAULT_TRUSTED_PROXIES.join(','));
+// Logging: level, json/text output, redaction of secrets and prompts, optional rotated file
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT || 'json';
+const LOG_REDACT = process.env.LOG_REDACT !== 'false';
+const LOG_FILE = process.env.LOG_FILE || null;
+const LOG_FILE_MAX_BYTES = parseInt(process.env.LOG_FILE_MAX_BYTES || '10485760', 10);
+const LOG_FILE_MAX_FILES = parseInt(process.env.LOG_FILE_MAX_FILES || '5', 10);
+// Cloudflare Access JWT authentication (enabled when team domain and audience are set)
+const CF_ACCESS_TEAM_DOMAIN = process.env.CF_ACCESS_TEAM_DOMAIN || null;
+const CF_ACCESS_AUD = process.env.CF_ACCESS_AUD || null;
+const CF_ACCESS_JWKS_FILE = process.env.CF_ACCESS_JWKS_FILE || null;
+const CF_ACCESS_JWKS_URL = process.env.CF_ACCESS_JWKS_URL || null;
+const CF_ACCESS_IDENTITIES_FILE = process.env.CF_ACCESS_IDENTITIES_FILE || null;
+// Bearer token for /metrics, separate from client API keys (unset = no auth)
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+// Admin API credential, separate from client API keys (keys with the "admin" scope also work)
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+const ADMIN_AUDIT_LOG_FILE = process.env.ADMIN_AUDIT_LOG_FILE || DEFAULT_AUDIT_LOG_PATH;
+// Default per-key limits (0 = unlimited), overridable per key in the key store
+const RATE_LIMITS = {
+  rpm: parseInt(process.env.RATE_LIMIT_RPM || '0', 10),
+  concurrent: parseInt(process.env.RATE_LIMIT_CONCURRENT || '0', 10),
+  dailyPromptTokens: parseInt(process.env.DAILY_PROMPT_TOKEN_LIMIT || '0', 10),
+  dailyCompletionTokens: parseInt(process.env.DAILY_COMPLETION_TOKEN_LIMIT || '0', 10),
+  maxTokens: parseInt(process.env.MAX_TOKENS_LIMIT || '0', 10),
+  maxN: parseInt(process.env.MAX_N_LIMIT || '0', 10)
+};
+// Troubleshooting details (upstream addresses, hints, error codes) in error responses
+const ERROR_DEBUG = process.env.ERROR_DEBUG === 'true';
+// Default content policy, overridable per key (deny patterns only come from the config file)
+const CONTENT_POLICY = {
+  maxPromptChars: parseInt(process.env.CONTENT_POLICY_MAX_PROMPT_CHARS || '0', 10),
+  maskPii: (process.env.CONTENT_POLICY_MASK_PII || '').split(',').map(kind => kind.trim()).filter(Boolean),
+  scanResponses: process.env.CONTENT_POLICY_SCAN_RESPONSES === 'true'
+};
+
+// Settings that can change at runtime: the environment values above, with the sections
+// of the config file (if any) replacing them. Everything is validated and built here, so a
+// bad config file fails before any of it is applied.
+function buildSettings(file = {}) {
+  const settings = {
+    loadBalancing: file.loadBalancing ?? LOAD_BALANCING,
+    upstreamCooldownMs: file.upstreamCooldownMs ?? UPSTREAM_COOLDOWN_MS,
+    upstreams: (file.upstreams ?? LM_STUDIO_UPSTREAMS).map(upstream => validateUpstream(upstream)),
+    queue: {
+      maxConcurrency: UPSTREAM_MAX_CONCURRENCY,
+      maxLength: QUEUE_MAX_LENGTH,
+      maxWaitMs: QUEUE_MAX_WAIT_MS,
+      ...file.queue
+    },
+    keysFile: file.keys?.file ?? API_KEYS_FILE,
+    apiKey: file.keys?.apiKey !== undefined ? file.keys.apiKey : process.env.API_KEY || null,
+    aliases: file.aliases ?? Object.fromEntries(MODEL_ALIASES),
+    toolShim: file.toolShim ?? TOOL_SHIM_MODELS,
+    context: { ...CONTEXT, ...file.context },
+    limits: { ...RATE_LIMITS, ...file.limits },
+    contentPolicy: validateContentPolicy({ ...CONTENT_POLICY, ...file.contentPolicy }),
+    allowedIps: file.ipRestrictions?.allowed ? new IpList(file.ipRestrictions.allowed) : ALLOWED_IPS,
+    deniedIps: file.ipRestrictions?.denied ? new IpList(file.ipRestrictions.denied) : DENIED_IPS,
+    trustedProxies: file.ipRestrictions?.trustedProxies ? new IpList(file.ipRestrictions.trustedProxies) : TRUSTED_PROXIES,
+    logging: { level: LOG_LEVEL, format: LOG_FORMAT, redact: LOG_REDACT, ...file.logging },
+    errors: { debug: ERROR_DEBUG, ...file.errors }
+  };
+  if (!CONTEXT_CHECK_MODES.includes(settings.context.check)) {
+    throw new Error(`Invalid CONTEXT_CHECK "${settings.context.check}": expected one of ${CONTEXT_CHECK_MODES.join(', ')}`);
+  }
+  // Same checks the pool and key store would make when applying
+  new UpstreamPool(settings.upstreams, { strategy: settings.loadBalancing });
+  new KeyStore(settings.keysFile);
+  return settings;
+}
+
+const configFile = CONFIG_FILE ? new ConfigFile(CONFIG_FILE) : null;
+let config;
+try {
+  config = buildSettings(configFile?.read());
+} catch (err) {
+  logger.error(err instanceof ConfigError ? 'Invalid configuration file' : 'Invalid configuration', { file: configFile?.filePath, error: err.message });
+  process.exit(1);
+}
+
+const logFile = LOG_FILE ? new RotatingFile(LOG_FILE, { maxBytes: LOG_FILE_MAX_BYTES, maxFiles: LOG_FILE_MAX_FILES }) : null;
+logger.configure({ ...config.logging, file: logFile });
+
+// API key store (hashed keys with names, scopes and revocation)
+const keyStore = new KeyStore(config.keysFile);
+
+// Legacy single key from .env / the config file - still accepted so existing setups keep working.
+// The built-in development key is only used when neither API_KEY nor the key store is configured.
+const DEVELOPMENT_API_KEY = 'sk-1234567890abcdef1234567890abcdef';
+function legacyApiKey(settings) {
+  return settings.apiKey || (keyStore.size === 0 ? DEVELOPMENT_API_KEY : null);
+}
+const legacyKeyRecord = {
+  id: 'env',
+  name: 'API_KEY (.env)',
+  owner: null,
+  scopes: ['inference'],
+  routes: [],
+  models: [],
+  revoked: false,
+  expiresAt: null
+};
+
+// Cloudflare Access identities, accepted alongside API keys
+const cloudflareAccess = CF_ACCESS_TEAM_DOMAIN && CF_ACCESS_AUD
+  ? new CloudflareAccess({
+      teamDomain: CF_ACCESS_TEAM_DOMAIN,
+      audience: CF_ACCESS_AUD,
+      jwksFile: CF_ACCESS_JWKS_FILE,
+      jwksUrl: CF_ACCESS_JWKS_URL,
+      identitiesFile: CF_ACCESS_IDENTITIES_FILE
+    })
+  : null;
+
+// LM Studio backends (load balancing, passive health checks, failover)
+const upstreamPool = new UpstreamPool(config.upstreams, {
+  strategy: config.loadBalancing,
+  cooldownMs: config.upstreamCooldownMs
+});
+
+// Bounded priority queue for when upstreams are at their concurrency limit
+const requestQueue = new RequestQueue(upstreamPool, config.queue);
+
+// Which upstream has which model (polled from /v1/models), used for model-aware routing
+const modelInventory = new ModelInventory(upstreamPool, { intervalMs: MODEL_POLL_INTERVAL_MS });
+modelInventory.start();
+
+// Model name aliases, rewritten in request bodies and back in responses
+const modelAliases = new ModelAliases(new Map(Object.entries(config.aliases)), modelInventory);
+
+// Requests that are safe to replay on another upstream after any connection error.
+// Other requests are only retried on ECONNREFUSED, which means the upstream never saw them.
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Per-key request rate limits, concurrency caps and daily token budgets
+const rateLimiter = new RateLimiter({ ...config.limits });
+
+// Per-request token usage log, also used to restore today's token budgets after a restart
+const usageLog = new UsageLog(USAGE_LOG_FILE);
+for (const entry of usageLog.read({ from: dayKey() })) {
+  rateLimiter.recordUsage(entry.keyId, entry, new Date(entry.timestamp));
+}
+
+// Cached responses for deterministic requests (null when RESPONSE_CACHE isn't set)
+const responseCache = RESPONSE_CACHE
+  ? new ResponseCache({
+      store: RESPONSE_CACHE,
+      dir: RESPONSE_CACHE_DIR,
+      ttlMs: RESPONSE_CACHE_TTL_MS,
+      maxEntries: RESPONSE_CACHE_MAX_ENTRIES,
+      maxBytes: RESPONSE_CACHE_MAX_BYTES
+    })
+  : null;
+
+// Stored /v1/responses responses for previous_response_id (null when RESPONSES_STORE=off)
+const responseStore = RESPONSES_STORE !== 'off'
+  ? new ResponseStore({
+      store: RESPONSES_STORE,
+      dir: RESPONSES_STORE_DIR,
+      ttlMs: RESPONSES_STORE_TTL_MS,
+      maxEntries: RESPONSES_STORE_MAX_ENTRIES
+    })
+  : null;
+
+// Prometheus metrics for /metrics
+const metrics = createProxyMetrics({ queue: requestQueue, pool: upstreamPool });
+
+// Audit log of changes made through the admin API
+const auditLog = new AuditLog(ADMIN_AUDIT_LOG_FILE);
+
+// Requests currently being handled, for GET /admin/requests
+const activeRequests = new Set();
+
+// Recent proxied requests and warnings/errors, kept in memory for the dashboard (/ui)
+const recentRequests = new RecentBuffer(200);
+const recentErrors = new RecentBuffer(100);
+logger.addSink((entry) => {
+  if (entry.level === 'warn' || entry.level === 'error') {
+    recentErrors.push(entry);
+  }
+});
+
+// Paths served by the proxy itself rather than LM Studio - left out of the dashboard's recent requests
+const INTERNAL_PATHS = ['/health', '/metrics', '/admin', '/ui'];
 
 // Middleware
 // Note: CORS removed to make proxy transparent - LM Studio will handle CORS if needed
 // Note: Do NOT use express.json() as it consumes the request body stream
-// The proxy needs the raw body stream to forward to LM Studio
-// http-proxy-middleware will handle the body stream automatically
+// JSON bodies are buffered by bufferJsonBody() after authentication and written back
+// onto the proxied request in onProxyReq (see lib/body.js)
 
-// Request logging middleware - log requester IP for all requests
+// Byte length of a chunk passed to res.write()/res.end()
+function chunkLength(chunk, encoding) {
+  if (!chunk || typeof chunk === 'function') {
+    return 0;
+  }
+  return Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+}
+
+// Access log middleware - gives every request an id (X-Request-Id) and a logger, and
+// writes one access log line when the response is finished (or the client went away)
 app.use((req, res, next) => {
-  // Get client IP from various sources (Cloudflare first, then others)
-  const cfConnectingIp = req.headers['cf-connecting-ip'] || req.headers['CF-Connecting-IP'];
-  const xForwardedFor = req.headers['x-forwarded-for'];
-  const xRealIp = req.headers['x-real-ip'];
-  const requesterIp = cfConnectingIp ||
-                     req.ip || 
-                     (xForwardedFor ? xForwardedFor.split(',')[0].trim() : null) ||
-                     xRealIp ||
-                     req.connection?.remoteAddress ||
-                     req.socket?.remoteAddress ||
-                     'unknown';
-
-  console.log(`[Request] ${req.method} ${req.path} from IP: ${requesterIp}`);
+  req.id = requestIdFor(req);
+  req.startTime = Date.now();
+  // The request sees one configuration from start to finish, even if it's reloaded meanwhile
+  req.config = config;
+  // Forwarding headers (CF-Connecting-IP first) only count when sent by a trusted proxy
+  req.clientIp = resolveClientIp(req, req.config.trustedProxies);
+  req.log = logger.child({ requestId: req.id });
+  res.setHeader('X-Request-Id', req.id);
+  metrics.inFlight.inc();
+  activeRequests.add(req);
+
+  let bytesOut = 0;
+  const { write, end } = res;
+  res.write = function (chunk, encoding, ...rest) {
+    bytesOut += chunkLength(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    bytesOut += chunkLength(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+
+  res.once('close', () => {
+    const latencyMs = Date.now() - req.startTime;
+    // Routers (e.g. /admin) leave their mount path in req.baseUrl; translated requests
+    // (e.g. /v1/messages) are logged under the path the client used
+    const path = req.clientPath || req.baseUrl + req.path;
+    const route = routeLabel(path);
+    activeRequests.delete(req);
+    metrics.inFlight.dec();
+    metrics.requests.inc({ route, method: req.method, status: res.statusCode, key: req.apiKey?.name || 'none' });
+    metrics.requestDuration.observe({ route, method: req.method }, latencyMs / 1000);
+    if (req.cacheStatus) {
+      metrics.cacheRequests.inc({ route, result: req.cacheStatus.toLowerCase() });
+    }
+
+    // Health checks from monitoring would drown out everything else
+    const level = path === '/health' ? 'debug' : 'info';
+    req.log.log(level, 'request', {
+      keyId: req.apiKey?.id,
+      keyName: req.apiKey?.name,
+      clientIp: req.clientIp,
+      method: req.method,
+      path,
+      model: req.body?.model,
+      requestedModel: req.requestedModel,
+      status: res.statusCode,
+      upstream: req.upstream?.name,
+      bytesIn: req.rawBody?.length ?? (parseInt(req.headers['content-length'] || '0', 10) || 0),
+      bytesOut,
+      latencyMs,
+      queueWaitMs: req.queueWaitMs,
+      cache: req.cacheStatus,
+      stream: req.body?.stream === true && !req.keepAlive?.aggregate,
+      promptTokens: req.usage?.promptTokens,
+      completionTokens: req.usage?.completionTokens,
+      totalTokens: req.usage?.totalTokens,
+      aborted: !res.writableFinished,
+      userAgent: req.headers['user-agent'],
+      cfRay: req.headers['cf-ray']
+    });
+
+    if (!INTERNAL_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`))) {
+      recentRequests.push({
+        time: new Date(req.startTime).toISOString(),
+        requestId: req.id,
+        keyName: req.apiKey?.name || null,
+        method: req.method,
+        path,
+        model: req.requestedModel || req.body?.model || null,
+        status: res.statusCode,
+        upstream: req.upstream?.name || null,
+        latencyMs,
+        timeToFirstTokenMs: req.firstChunkTime ? req.firstChunkTime - req.startTime : null,
+        promptTokens: req.usage?.promptTokens ?? null,
+        completionTokens: req.usage?.completionTokens ?? null,
+        aborted: !res.writableFinished
+      });
+    }
+
+    if (shutdown?.closed && activeRequests.size === 0) {
+      finishShutdown();
+    }
+  });
   next();
 });
 
-// IP Restriction Middleware
-const ipRestriction = (req, res, next) => {
-  if (ALLOWED_IPS.length === 0) {
-    // If no IPs are configured, allow all (for development)
+// OpenAI-style body for an error the proxy itself produced (see lib/errors.js)
+// debug details are only sent to clients with ERROR_DEBUG (or errors.debug in the config file).
+function errorBody(req, status, message, code, debug = null) {
+  return proxyErrorBody(status, message, { code, debug: req.config?.errors.debug ? debug : null });
+}
+
+// While shutting down, turn away new requests (the listener stays open until the deadline,
+// so /health can tell cloudflared and load balancers the server is draining)
+app.use((req, res, next) => {
+  if (!shutdown) {
     return next();
   }
-
-  // Cloudflare provides the real client IP in CF-Connecting-IP header
-  // Check this first for requests coming through Cloudflare Tunnel
-  const cfConnectingIp = req.headers['cf-connecting-ip'] || req.headers['CF-Connecting-IP'];
-  const xForwardedFor = req.headers['x-forwarded-for'];
-  const xRealIp = req.headers['x-real-ip'];
-  const clientIp = cfConnectingIp ||
-                   req.ip || 
-                   (xForwardedFor ? xForwardedFor.split(',')[0].trim() : null) ||
-                   xRealIp ||
-                   req.connection?.remoteAddress ||
-                   req.socket?.remoteAddress;
-
-  // Log IP detection details
-  console.log(`[IP Detection] ${req.method} ${req.path}`);
-  console.log(`  - CF-Connecting-IP: ${cfConnectingIp || '(not present)'}`);
-  console.log(`  - X-Forwarded-For: ${xForwardedFor || '(not present)'}`);
-  console.log(`  - X-Real-IP: ${xRealIp || '(not present)'}`);
-  console.log(`  - req.ip: ${req.ip || '(not set)'}`);
-  console.log(`  - req.connection.remoteAddress: ${req.connection?.remoteAddress || '(not set)'}`);
-  console.log(`  - req.socket.remoteAddress: ${req.socket?.remoteAddress || '(not set)'}`);
-  console.log(`  - Detected Client IP: ${clientIp || '(unable to determine)'}`);
-
-  if (!clientIp) {
-    console.log(`  ❌ Blocked: Unable to determine client IP`);
-    return res.status(403).json({ error: 'Unable to determine client IP' });
-  }
-
-  // If request is from localhost (via cloudflared tunnel), allow it
-  // Cloudflared tunnel forwards requests from localhost, so we can't get the real client IP
-  // In this case, we rely on API key authentication for security
-  const isLocalhost = clientIp === '127.0.0.1' || 
-                      clientIp === '::1' || 
-                      clientIp === '::ffff:127.0.0.1' ||
-                      clientIp.startsWith('127.') ||
-                      clientIp === 'localhost';
-  
-  if (isLocalhost) {
-    console.log(`  ✅ Allowed: Request from localhost (via cloudflared tunnel) - relying on API key auth`);
+  res.setHeader('Connection', 'close');
+  if (req.path === '/health') {
     return next();
   }
+  res.setHeader('Retry-After', '10');
+  res.status(503).json(errorBody(req, 503, 'Server is shutting down', 'server_shutting_down'));
+});
 
-  // Check if IP is in allowed list
-  const isAllowed = ALLOWED_IPS.some(allowedIp => {
-    // Support CIDR notation (e.g., 192.168.1.0/24)
-    if (allowedIp.includes('/')) {
-      const [network, prefixLength] = allowedIp.split('/');
-      const mask = ~(2 ** (32 - parseInt(prefixLength)) - 1);
-      const networkNum = ipToNumber(network) & mask;
-      const clientNum = ipToNumber(clientIp) & mask;
-      return networkNum === clientNum;
-    }
-    return clientIp === allowedIp || clientIp.startsWith(allowedIp);
+// IP Restriction Middleware - deny list first, then allow list (both empty = allow all)
+const ipRestriction = (req, res, next) => {
+  const clientIp = req.clientIp;
+
+  // Log IP detection details
+  req.log.debug('IP detection', {
+    cfConnectingIp: req.headers['cf-connecting-ip'],
+    xForwardedFor: req.headers['x-forwarded-for'],
+    xRealIp: req.headers['x-real-ip'],
+    remoteAddress: req.socket?.remoteAddress,
+    clientIp
   });
 
-  if (!isAllowed) {
-    console.log(`  ❌ Blocked: IP ${clientIp} is not in ALLOWED_IPS list`);
-    console.log(`  📋 ALLOWED_IPS: ${ALLOWED_IPS.join(', ')}`);
-    return res.status(403).json({ error: 'IP address not allowed' });
+  const blocked = checkIpAccess(clientIp, { allowed: req.config.allowedIps, denied: req.config.deniedIps });
+  if (blocked) {
+    req.log.warn('Blocked by IP restrictions', { clientIp, reason: blocked });
+    return res.status(403).json(errorBody(req, 403, `IP address not allowed: ${blocked}`, 'ip_not_allowed'));
   }
 
-  console.log(`  ✅ Allowed: IP ${clientIp} is in ALLOWED_IPS list`);
-
   next();
 };
 
-// Helper function to convert IP to number
-function ipToNumber(ip) {
-  return ip.split('.').reduce((acc, octet) => (acc << 8) + parseInt(octet, 10), 0) >>> 0;
-}
-
 // Helper function to get Cloudflare error descriptions
 function getCloudflareErrorDescription(statusCode) {
   const descriptions = {
@@ -131,14 +441,13 @@ function getCloudflareErrorDescription(statusCode) {
 }
 
 // OpenAPI Key Validation Middleware
+// The key comes from the Authorization header, or x-api-key as Anthropic clients send it
 const validateApiKey = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
+  const authHeader = req.headers['authorization'] || req.headers['x-api-key'];
   
   if (!authHeader) {
-    return res.status(401).json({ 
-      error: 'Missing authorization header',
-      message: 'Please provide an API key in the Authorization header'
-    });
+    return res.status(401).json(errorBody(req, 401,
+      'Missing authorization header - provide an API key in the Authorization (or x-api-key) header', 'missing_api_key'));
   }
 
   // Support both "Bearer <key>" and "sk-<key>" formats
@@ -149,55 +458,428 @@ const validateApiKey = (req, res, next) => {
 
   // Validate OpenAPI key format (starts with "sk-")
   if (!providedKey.startsWith('sk-')) {
-    return res.status(401).json({ 
-      error: 'Invalid API key format',
-      message: 'API key must start with "sk-"'
-    });
+    return res.status(401).json(errorBody(req, 401, 'Invalid API key format: API key must start with "sk-"', 'invalid_api_key'));
   }
 
   // Validate key length (OpenAPI keys are typically 32+ characters after "sk-")
   if (providedKey.length < 10) {
-    return res.status(401).json({ 
-      error: 'Invalid API key format',
-      message: 'API key is too short'
-    });
+    return res.status(401).json(errorBody(req, 401, 'Invalid API key format: API key is too short', 'invalid_api_key'));
   }
 
-  // Check if key matches configured key
-  if (providedKey !== API_KEY) {
-    console.log(`Invalid API key attempt: ${providedKey.substring(0, 10)}...`);
-    return res.status(401).json({ 
-      error: 'Invalid API key',
-      message: 'The provided API key is not valid'
-    });
+  // Look up the key in the key store (re-read if the file changed on disk)
+  try {
+    keyStore.reloadIfChanged();
+  } catch (err) {
+    req.log.error('Failed to reload API key store', { error: err });
+  }
+  let keyRecord = keyStore.lookup(providedKey);
+  const apiKey = legacyApiKey(req.config);
+  if (!keyRecord && apiKey && secretMatches(providedKey, apiKey)) {
+    keyRecord = legacyKeyRecord;
+  }
+
+  if (!keyRecord) {
+    req.log.warn('Invalid API key attempt', { keyPrefix: providedKey.substring(0, 10) });
+    return res.status(401).json(errorBody(req, 401, 'The provided API key is not valid', 'invalid_api_key'));
+  }
+
+  authorizeKeyRecord(req, res, next, keyRecord);
+};
+
+// Check a key record (API key or Cloudflare Access identity) against the request
+function authorizeKeyRecord(req, res, next, keyRecord) {
+  if (keyRecord.revoked) {
+    req.log.warn('Revoked API key used', { keyId: keyRecord.id, keyName: keyRecord.name });
+    return res.status(401).json(errorBody(req, 401, 'The provided API key has been revoked', 'api_key_revoked'));
+  }
+
+  if (isExpired(keyRecord)) {
+    req.log.warn('Expired API key used', { keyId: keyRecord.id, keyName: keyRecord.name });
+    return res.status(401).json(errorBody(req, 401, `The provided API key expired at ${keyRecord.expiresAt}`, 'api_key_expired'));
+  }
+
+  const path = req.baseUrl + req.path;
+  if (!isRouteAllowed(keyRecord, path)) {
+    req.log.warn('API key not allowed on route', { keyName: keyRecord.name, path });
+    return res.status(403).json(errorBody(req, 403, `API key "${keyRecord.name}" is not allowed to access ${path}`, 'route_not_allowed'));
+  }
+
+  if (!isIpAllowedForKey(keyRecord, req.clientIp)) {
+    req.log.warn('API key not allowed from client IP', { keyName: keyRecord.name, clientIp: req.clientIp });
+    return res.status(403).json(errorBody(req, 403,
+      `API key "${keyRecord.name}" is not allowed from IP address ${req.clientIp}`, 'ip_not_allowed'));
   }
 
   // Key is valid, proceed
+  req.apiKey = keyRecord;
   next();
+}
+
+// Cloudflare Access JWT Middleware - verifies the Cf-Access-Jwt-Assertion header and maps
+// the identity onto a key-like record (see lib/cf-access.js)
+const validateAccessToken = (req, res, next) => {
+  cloudflareAccess.verify(req.headers[JWT_HEADER])
+    .then((claims) => {
+      const keyRecord = cloudflareAccess.recordFor(claims);
+      if (!keyRecord) {
+        req.log.warn('Cloudflare Access identity not allowed', { email: claims.email, commonName: claims.common_name });
+        return res.status(403).json(errorBody(req, 403,
+          `Cloudflare Access identity "${claims.email || claims.common_name}" is not allowed to use this server`, 'identity_not_allowed'));
+      }
+      authorizeKeyRecord(req, res, next, keyRecord);
+    })
+    .catch((err) => {
+      if (err instanceof AccessTokenError) {
+        req.log.warn('Invalid Cloudflare Access token', { reason: err.message });
+        return res.status(401).json(errorBody(req, 401, `Invalid Cloudflare Access token: ${err.message}`, 'invalid_access_token'));
+      }
+      req.log.error('Failed to verify Cloudflare Access token', { error: err, jwks: cloudflareAccess.jwksSource });
+      res.status(500).json(errorBody(req, 500, 'Unable to verify Cloudflare Access token', 'internal_error'));
+    });
+};
+
+// Authentication Middleware - an API key in the Authorization or x-api-key header, or (when
+// Cloudflare Access is configured) the Access JWT that Cloudflare adds to requests
+const authenticate = (req, res, next) => {
+  if (cloudflareAccess && !req.headers['authorization'] && !req.headers['x-api-key'] && req.headers[JWT_HEADER]) {
+    return validateAccessToken(req, res, next);
+  }
+  validateApiKey(req, res, next);
+};
+
+// Scope Middleware - e.g. requireScope('admin') for /admin routes
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey || !hasScope(req.apiKey, scope)) {
+    return res.status(403).json(errorBody(req, 403, `API key "${req.apiKey?.name}" does not have the "${scope}" scope`, 'missing_scope'));
+  }
+  next();
+};
+
+// Compare a provided secret with the configured one in constant time
+function secretMatches(provided, expected) {
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(provided), digest(expected));
+}
+
+// Admin Authentication Middleware - ADMIN_API_KEY, or an API key / Cloudflare Access
+// identity with the "admin" scope. req.admin identifies who made a change in the audit log.
+const requireAdmin = (req, res, next) => {
+  const provided = (req.headers['authorization'] || '').replace(/^Bearer /, '');
+  if (ADMIN_API_KEY && provided && secretMatches(provided, ADMIN_API_KEY)) {
+    req.admin = { id: 'admin', name: 'ADMIN_API_KEY' };
+    return next();
+  }
+  // Anything that isn't an "sk-" key can only have been meant as the admin key
+  if (ADMIN_API_KEY && provided && !provided.startsWith('sk-')) {
+    req.log.warn('Invalid admin key attempt');
+    return res.status(401).json(errorBody(req, 401, 'The provided admin key is not valid', 'invalid_api_key'));
+  }
+  authenticate(req, res, () => requireScope('admin')(req, res, () => {
+    req.admin = { id: req.apiKey.id, name: req.apiKey.name };
+    next();
+  }));
+};
+
+// Model Access Middleware (runs after the body has been buffered and aliases resolved,
+// so restrictions apply to the real model). Inference requests without a model are served
+// by whatever LM Studio has loaded, so keys restricted to certain models must name one.
+const checkModelAccess = (req, res, next) => {
+  const model = req.body?.model;
+  if (!req.apiKey || (!model && !(req.method === 'POST' && MODEL_ROUTES.includes(req.path)))) {
+    return next();
+  }
+  if (!isModelAllowed(req.apiKey, model)) {
+    req.log.warn('API key not allowed to use model', { keyName: req.apiKey.name, model });
+    const message = model
+      ? `API key "${req.apiKey.name}" is not allowed to use model "${model}"`
+      : `API key "${req.apiKey.name}" is restricted to certain models - the request must name one in "model"`;
+    return res.status(403).json(errorBody(req, 403, message, 'model_not_allowed'));
+  }
+  next();
+};
+
+// Upstreams that can serve a request's model (null = any upstream)
+// Requests for a model no upstream lists go to any upstream and LM Studio decides
+// (e.g. "local-model" is served by whatever model is loaded).
+function upstreamsForRequest(req) {
+  const model = req.body?.model;
+  if (!MODEL_ROUTES.includes(req.path) || !model) {
+    return null;
+  }
+  const serving = modelInventory.upstreamsFor(model);
+  if (serving.length === 0) {
+    req.log.debug('No upstream lists model - routing to any upstream', { model });
+    return null;
+  }
+  return serving;
+}
+
+// Assign the next upstream to a request (skipping ones already tried for it)
+// Waits in the request queue while every suitable upstream is at its concurrency limit.
+// Resolves false when every upstream has been tried; rejects with a queue error.
+async function assignUpstream(req, res) {
+  if (!req.triedUpstreams) {
+    req.triedUpstreams = [];
+    req.modelUpstreams = upstreamsForRequest(req);
+    req.abortController = new AbortController();
+    res.once('close', () => req.abortController.abort());
+  }
+  req.releaseUpstream?.();
+
+  const slot = await requestQueue.acquire({
+    exclude: req.triedUpstreams,
+    allowed: req.modelUpstreams,
+    priority: req.apiKey?.priority,
+    signal: req.abortController.signal,
+    log: req.log
+  });
+  if (!slot) {
+    return false;
+  }
+  req.upstream = slot.upstream;
+  req.queueWaitMs = (req.queueWaitMs || 0) + slot.waitedMs;
+  req.triedUpstreams.push(slot.upstream);
+  req.releaseUpstream = slot.release;
+  res.once('close', req.releaseUpstream);
+  return true;
+}
+
+// Finish a response that has already started (keep-alive heartbeats or a stream) with an
+// error in the body, in the client's format - for streams a final SSE error event
+function endStartedResponse(req, res, status, body) {
+  if (req.responseAdapter) {
+    return req.responseAdapter.endWithError(res, status, body);
+  }
+  if (req.keepAlive) {
+    return endWithError(res, req.keepAlive.mode, body);
+  }
+  if (String(res.getHeader('content-type') || '').includes('text/event-stream')) {
+    return endWithError(res, 'sse', body);
+  }
+  // Part of a plain response is out - all that's left is to close the connection
+  res.destroy();
+}
+
+// Send an error response - or, if keep-alive heartbeats already sent a 200, end the
+// response with the error in the body
+function sendErrorResponse(req, res, status, body) {
+  req.keepAlive?.stop();
+  if (res.headersSent) {
+    return endStartedResponse(req, res, status, body);
+  }
+  res.status(status).json(body);
+}
+
+// Send the error response for a request that couldn't get through the queue
+function sendQueueError(err, req, res) {
+  if (err instanceof QueueAbortedError || res.writableEnded) {
+    return;
+  }
+  if (err instanceof QueueFullError || err instanceof QueueTimeoutError) {
+    req.log.warn('Request rejected by queue', { reason: err.message });
+    if (!res.headersSent) {
+      res.setHeader('Retry-After', '10');
+    }
+    const code = err instanceof QueueFullError ? 'queue_full' : 'queue_timeout';
+    return sendErrorResponse(req, res, 503, errorBody(req, 503, err.message, code));
+  }
+  req.log.error('Error assigning upstream', { error: err });
+  sendErrorResponse(req, res, 500, errorBody(req, 500, 'The server had an error while processing your request', 'internal_error', {
+    details: err.message
+  }));
+}
+
+// Upstream Selection Middleware (runs right before the proxy)
+const selectUpstream = (req, res, next) => {
+  assignUpstream(req, res)
+    .then((assigned) => {
+      if (!assigned) {
+        return sendErrorResponse(req, res, 503, errorBody(req, 503, 'No LM Studio upstream is available', 'no_upstream_available'));
+      }
+      next();
+    })
+    .catch((err) => sendQueueError(err, req, res));
 };
 
+// Upstream health, effective concurrency limits and models (for /health and /admin/upstreams)
+function upstreamStatus() {
+  const inventory = modelInventory.status();
+  return upstreamPool.status().map((upstream, index) => ({
+    ...upstream,
+    maxConcurrency: requestQueue.limitFor(upstreamPool.upstreams[index]) || null,
+    models: inventory[index].models,
+    loadedModels: inventory[index].loadedModels,
+    modelsUpdatedAt: inventory[index].updatedAt
+  }));
+}
+
 // Health check endpoint (no auth required)
+// Answers 503 "draining" during shutdown, so cloudflared and load balancers stop sending traffic
 app.get('/health', (req, res) => {
+  if (shutdown) {
+    return res.status(503).json({ 
+      status: 'draining',
+      timestamp: new Date().toISOString(),
+      inFlight: activeRequests.size - 1,
+      deadline: new Date(shutdown.deadline).toISOString()
+    });
+  }
   res.json({ 
-    status: 'ok', 
+    status: upstreamPool.hasAvailable() ? 'ok' : 'degraded', 
     timestamp: new Date().toISOString(),
-    lmStudioUrl: LM_STUDIO_URL 
+    loadBalancing: upstreamPool.strategy,
+    queue: requestQueue.status(),
+    cache: responseCache?.status() ?? null,
+    upstreams: upstreamStatus()
+  });
+});
+
+// Apply IP restrictions to all routes except the health check
+app.use(ipRestriction);
+
+// Prometheus metrics (protected by METRICS_TOKEN when set, not by client API keys)
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN) {
+    const provided = (req.headers['authorization'] || '').replace(/^Bearer /, '');
+    if (!secretMatches(provided, METRICS_TOKEN)) {
+      return res.status(401).json(errorBody(req, 401, 'A valid METRICS_TOKEN is required for /metrics', 'invalid_api_key'));
+    }
+  }
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.registry.render());
+});
+
+// Admin API - keys, upstreams, rate limits, aliases, active requests and usage (see lib/admin.js)
+app.use('/admin', requireAdmin, createAdminRouter({
+  keyStore,
+  upstreamPool,
+  requestQueue,
+  modelInventory,
+  modelAliases,
+  rateLimiter,
+  usageLog,
+  auditLog,
+  activeRequests,
+  recentRequests,
+  recentErrors,
+  upstreamStatus
+}));
+
+// Web dashboard - static files only, its data comes from /admin/dashboard with an admin credential
+// (Content-Security-Policy makes sure it never loads anything from outside this server)
+app.use('/ui', express.static(join(dirname(fileURLToPath(import.meta.url)), 'ui'), {
+  setHeaders: (res) => {
+    res.setHeader('Content-Security-Policy', "default-src 'self'; img-src 'self' data:; frame-ancestors 'none'");
+  }
+}));
+
+// Everything below sees (and forwards) the canonical path - see lib/request-path.js
+app.use(canonicalizePath());
+app.use(anthropicErrors());
+app.use(authenticate);
+app.use(requireScope('inference'));
+app.use(bufferJsonBody({ isJson: req => isJsonRequest(req) || isOllamaRequest(req) }));
+app.use(anthropicMessages());
+app.use(ollamaApi());
+app.use(responsesApi(responseStore));
+app.use(validateRequest(rateLimiter));
+app.use(contentPolicy());
+app.use(applyModelAliases(modelAliases));
+app.use(checkModelAccess);
+app.use(toolShim());
+app.use(checkContextLength(modelInventory));
+app.use(requestStreamUsage());
+app.use(rateLimit(rateLimiter));
+app.use(cacheResponses(responseCache));
+app.use(keepAlive({ intervalMs: KEEPALIVE_INTERVAL_MS, nonStreaming: KEEPALIVE_NON_STREAMING }));
+
+// Merged model list across all upstreams (falls through to the proxy until the first poll)
+// Keys restricted to certain models only see those models.
+app.get('/v1/models', (req, res, next) => {
+  if (!modelInventory.isPopulated) {
+    return next();
+  }
+  const list = modelInventory.mergedList();
+  res.json({
+    ...list,
+    data: list.data.filter(model => isModelAllowed(req.apiKey, model.id))
   });
 });
 
-// Apply middleware to all routes except health check
-// Note: IP restriction disabled - relying on API key authentication for security
-// Cloudflare tunnel doesn't preserve original client IPs, making IP restriction unreliable
-// app.use(ipRestriction);
-app.use(validateApiKey);
+// Ollama's model list, from the same merged list (empty until the first poll)
+app.get('/api/tags', (req, res) => {
+  const models = modelInventory.mergedList().data.filter(model => isModelAllowed(req.apiKey, model.id));
+  res.json(toOllamaTags(models, id => modelInventory.modelDetails(id)));
+});
+
+// Some Ollama clients check the server version before anything else
+app.get('/api/version', (req, res) => {
+  res.json({ version: '0.5.0' });
+});
+
+// Categorize a proxy error: "timeout", "refused" or "other"
+function proxyErrorType(err) {
+  if (err.code === 'ETIMEDOUT' || err.code === 'ECONNRESET' || err.message.includes('timeout')) {
+    return 'timeout';
+  }
+  return err.code === 'ECONNREFUSED' ? 'refused' : 'other';
+}
+
+// Send the error response for a failed proxy request
+function sendProxyError(err, req, res) {
+  const type = proxyErrorType(err);
+  // Check for timeout errors
+  if (type === 'timeout') {
+    req.log.error('Timeout talking to LM Studio', { upstream: req.upstream.name });
+    sendErrorResponse(req, res, 504, errorBody(req, 504, 'Request to LM Studio timed out', 'upstream_timeout', {
+      details: err.message,
+      troubleshooting: {
+        'Check LM Studio': 'Verify LM Studio is running and responsive',
+        'Check response time': 'LM Studio may be taking too long to process the request',
+        'Try simpler request': 'The request might be too complex or large',
+        'Check network': 'Network connectivity issues may be causing timeouts'
+      }
+    }));
+  } else if (type === 'refused') {
+    req.log.error('Connection to LM Studio refused', { upstream: req.upstream.name });
+    sendErrorResponse(req, res, 502, errorBody(req, 502, 'Unable to connect to LM Studio. Is it running?', 'upstream_unreachable', {
+      details: err.message,
+      troubleshooting: {
+        'Check LM Studio': `Verify LM Studio is running at ${req.upstream.url}`,
+        'Test connection': `Test directly: curl ${req.upstream.url}/v1/models`,
+        'Check URL': `Verify LM_STUDIO_URL / LM_STUDIO_UPSTREAMS in .env is correct: ${req.upstream.url}`
+      }
+    }));
+  } else {
+    sendErrorResponse(req, res, 502, errorBody(req, 502, 'Unable to connect to LM Studio', 'upstream_error', {
+      details: err.message,
+      errorCode: err.code
+    }));
+  }
+}
+
+// Token counters and generation speed (streaming: from the first chunk, otherwise from
+// when the request was sent to LM Studio)
+function recordTokenMetrics(req, usage, responseModel) {
+  const model = responseModel || req.body?.model || 'unknown';
+  const key = req.apiKey.name;
+  metrics.tokens.inc({ key, model, type: 'prompt' }, usage.promptTokens);
+  metrics.tokens.inc({ key, model, type: 'completion' }, usage.completionTokens);
+
+  const generationSeconds = (Date.now() - (req.firstChunkTime || req.proxyStartTime)) / 1000;
+  if (usage.completionTokens > 0 && generationSeconds > 0) {
+    metrics.tokensPerSecond.observe({ model }, usage.completionTokens / generationSeconds);
+  }
+}
 
 // Proxy configuration - configured to be transparent
 const proxyOptions = {
-  target: LM_STUDIO_URL,
+  target: upstreamPool.upstreams[0].url,
+  router: (req) => req.upstream.url, // Chosen per request by selectUpstream
   changeOrigin: true,
   selfHandleResponse: true, // Take full control of response handling
-  timeout: 100000, // 100 second timeout (Cloudflare default is 100s, so match it)
-  proxyTimeout: 100000, // Timeout for proxy requests
+  timeout: UPSTREAM_TIMEOUT_MS, // Idle timeout - long prompts can take minutes before the first token
+  proxyTimeout: UPSTREAM_TIMEOUT_MS, // Timeout for proxy requests
   pathRewrite: {
     '^/v1': '/v1', // Keep /v1 prefix if needed
   },
@@ -206,9 +888,14 @@ const proxyOptions = {
     // Don't add any identifying headers
   },
   onProxyReq: (proxyReq, req, res) => {
-    console.log(`Proxying ${req.method} ${req.path} to ${LM_STUDIO_URL}`);
-    console.log(`  Request body length: ${req.headers['content-length'] || 'unknown'}`);
-    console.log(`  Content-Type: ${req.headers['content-type'] || 'unknown'}`);
+    req.log.debug('Proxying request', {
+      upstream: req.upstream.name,
+      target: `${req.upstream.url}${req.path}`,
+      contentLength: req.headers['content-length'],
+      contentType: req.headers['content-type'],
+      headers: req.headers,
+      body: req.body
+    });
     
     // Remove proxy-identifying headers from the request
     proxyReq.removeHeader('x-forwarded-for');
@@ -218,68 +905,85 @@ const proxyOptions = {
     proxyReq.removeHeader('cf-connecting-ip');
     proxyReq.removeHeader('cf-ray');
     proxyReq.removeHeader('authorization'); // Remove our API key before forwarding
+    proxyReq.removeHeader('x-api-key');
+    
+    // Responses that get rewritten (e.g. model aliases), aggregated or cached must not be compressed
+    if (req.responseTransforms?.length || req.keepAlive?.aggregate || req.cacheKey) {
+      proxyReq.removeHeader('accept-encoding');
+    }
     
     // Set Host header to match LM Studio (makes it look like direct connection)
     try {
-      const targetUrl = new URL(LM_STUDIO_URL);
+      const targetUrl = new URL(req.upstream.url);
       proxyReq.setHeader('Host', targetUrl.host);
     } catch (e) {
       // If URL parsing fails, keep original host
     }
     
-    // Log what we're sending
-    console.log(`  Forwarding to: ${LM_STUDIO_URL}${req.path}`);
-    console.log(`  Host header: ${proxyReq.getHeader('host')}`);
+    req.proxyStartTime = Date.now();
+    req.proxyReq = proxyReq; // So a shutdown can cut the request off
+    
+    // Write the buffered JSON body last - writing flushes the request headers
+    // (the original stream was consumed by bufferJsonBody)
+    writeBufferedBody(proxyReq, req);
     
-    // Log when the request is actually sent
+    // Log when the request is actually sent (errors are handled by onError)
     proxyReq.on('error', (err) => {
-      console.error(`  ❌ Error sending request to LM Studio:`, err);
-      console.error(`     Error code: ${err.code}`);
-      console.error(`     Error message: ${err.message}`);
+      req.log.debug('Error sending request to LM Studio', { error: err });
     });
     
     proxyReq.on('finish', () => {
-      console.log(`  ✅ Request body sent to LM Studio`);
+      req.log.debug('Request body sent to LM Studio');
     });
   },
   onProxyRes: (proxyRes, req, res) => {
-    console.log(`✅ Response received from LM Studio: ${proxyRes.statusCode} for ${req.method} ${req.path}`);
-    console.log(`  Response headers:`, Object.keys(proxyRes.headers));
-    console.log(`  Content-Type: ${proxyRes.headers['content-type'] || 'unknown'}`);
-    console.log(`  Content-Length: ${proxyRes.headers['content-length'] || 'unknown'}`);
+    req.log.debug('Response received from LM Studio', {
+      status: proxyRes.statusCode,
+      headers: Object.keys(proxyRes.headers),
+      contentType: proxyRes.headers['content-type'],
+      contentLength: proxyRes.headers['content-length'],
+      firstByteMs: Date.now() - req.startTime
+    });
+    upstreamPool.markSuccess(req.upstream);
     
     // Check for Cloudflare error responses (520-530 are Cloudflare-specific errors)
     // These indicate Cloudflare cannot reach the origin server
     if (proxyRes.statusCode >= 520 && proxyRes.statusCode <= 530) {
       const errorDesc = getCloudflareErrorDescription(proxyRes.statusCode);
-      console.error(`⚠️  Cloudflare error detected: ${proxyRes.statusCode} - ${errorDesc}`);
       
-      // Provide specific error messages based on error type
+      // Provide specific hints based on error type
+      let hints;
       if (proxyRes.statusCode === 524) {
-        console.error(`  ❌ Timeout occurred - Cloudflare timed out waiting for response`);
-        console.error(`  💡 This usually means:`);
-        console.error(`     - LM Studio is taking too long to respond`);
-        console.error(`     - The request is too large or complex`);
-        console.error(`     - Network latency is high`);
-        console.error(`     - LM Studio may be overloaded or stuck`);
+        hints = [
+          'LM Studio is taking too long to respond',
+          'The request is too large or complex',
+          'Network latency is high',
+          'LM Studio may be overloaded or stuck'
+        ];
       } else if (proxyRes.statusCode === 522) {
-        console.error(`  ❌ Connection timed out - Cloudflare cannot connect to origin`);
-        console.error(`  💡 This usually means:`);
-        console.error(`     - Local server is not running`);
-        console.error(`     - Firewall is blocking connections`);
-        console.error(`     - Port mismatch between tunnel config and server`);
+        hints = [
+          'Local server is not running',
+          'Firewall is blocking connections',
+          'Port mismatch between tunnel config and server'
+        ];
       } else if (proxyRes.statusCode === 530) {
-        console.error(`  ❌ DNS error - Cloudflare cannot resolve origin`);
-        console.error(`  💡 This usually means:`);
-        console.error(`     - Tunnel configuration is incorrect`);
-        console.error(`     - DNS resolution failed`);
+        hints = [
+          'Tunnel configuration is incorrect',
+          'DNS resolution failed'
+        ];
       } else {
-        console.error(`  ❌ Cloudflare error - cannot reach origin server`);
-        console.error(`  💡 This usually means:`);
-        console.error(`     - Local server is not running`);
-        console.error(`     - Tunnel is not properly configured`);
-        console.error(`     - Port mismatch between tunnel config and server`);
+        hints = [
+          'Local server is not running',
+          'Tunnel is not properly configured',
+          'Port mismatch between tunnel config and server'
+        ];
       }
+      req.log.error('Cloudflare error detected', {
+        status: proxyRes.statusCode,
+        description: errorDesc,
+        upstream: req.upstream.name,
+        hints
+      });
       
       // Collect the response body to check if it's a Cloudflare error page
       let bodyChunks = [];
@@ -301,7 +1005,7 @@ const proxyOptions = {
                                  body.includes('Error code 530');
         
         if (isCloudflareError) {
-          console.error(`  📄 Confirmed: Cloudflare error page detected`);
+          req.log.debug('Confirmed: Cloudflare error page detected');
           
           // Build troubleshooting message based on error type
           let troubleshooting = {};
@@ -322,16 +1026,19 @@ const proxyOptions = {
             };
           }
           
-          // Return a proper JSON error instead of the HTML
-          res.writeHead(502, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
-            error: 'Bad Gateway',
-            message: proxyRes.statusCode === 524 
+          // Return a proper JSON error instead of the HTML (a 524 is a timeout)
+          const status = proxyRes.statusCode === 524 ? 504 : 502;
+          sendErrorResponse(req, res, status, errorBody(req, status,
+            proxyRes.statusCode === 524
               ? 'Request timed out - Cloudflare timed out waiting for response'
               : 'Cloudflare tunnel cannot reach the origin server',
-            details: `Cloudflare error ${proxyRes.statusCode}: ${errorDesc}`,
-            troubleshooting
-          }));
+            'cloudflare_error',
+            { details: `Cloudflare error ${proxyRes.statusCode}: ${errorDesc}`, troubleshooting }
+          ));
+        } else if (res.headersSent) {
+          // Keep-alive heartbeats already started the response
+          sendErrorResponse(req, res, proxyRes.statusCode, errorBody(req, proxyRes.statusCode,
+            `LM Studio returned HTTP ${proxyRes.statusCode}`, 'upstream_error', { details: body }));
         } else {
           // Not a Cloudflare error, forward the response as-is
           res.writeHead(proxyRes.statusCode, proxyRes.headers);
@@ -340,11 +1047,8 @@ const proxyOptions = {
       });
       
       proxyRes.on('error', (err) => {
-        console.error('Error reading proxy response:', err);
-        res.status(502).json({
-          error: 'Bad Gateway',
-          message: 'Error reading response from origin server'
-        });
+        req.log.error('Error reading proxy response', { error: err });
+        sendErrorResponse(req, res, 502, errorBody(req, 502, 'Error reading response from origin server', 'upstream_error'));
       });
       
       return;
@@ -353,9 +1057,13 @@ const proxyOptions = {
     // For non-Cloudflare errors, handle the response normally
     // Log error responses from LM Studio for debugging
     if (proxyRes.statusCode >= 400) {
-      console.error(`⚠️  LM Studio returned error: ${proxyRes.statusCode}`);
-      console.error(`  💡 If you see "context length" errors, the prompt is too long for the model`);
-      console.error(`  💡 Solutions: Increase context length in LM Studio, use a larger model, or reduce prompt size`);
+      req.log.warn('LM Studio returned error', {
+        status: proxyRes.statusCode,
+        upstream: req.upstream.name,
+        hint: 'For "context length" errors the prompt is too long for the model - increase the context length in LM Studio, use a larger model, or reduce the prompt size',
+        promptTokensEstimate: req.promptEstimate?.estimated,
+        contextLength: req.promptEstimate?.contextLength
+      });
     }
     
     // For all responses (success and error), handle normally
@@ -369,87 +1077,284 @@ const proxyOptions = {
     delete responseHeaders['via'];
     delete responseHeaders['Via'];
     
-    // Write response headers
-    res.writeHead(proxyRes.statusCode, responseHeaders);
+    // Time to first token for streaming responses (the first chunk LM Studio sends)
+    const isEventStream = (proxyRes.headers['content-type'] || '').includes('text/event-stream');
+    if (isEventStream && proxyRes.statusCode < 400) {
+      proxyRes.once('data', () => {
+        req.firstChunkTime = Date.now();
+        metrics.timeToFirstToken.observe(
+          { route: routeLabel(req.path), model: req.body?.model || 'unknown' },
+          (req.firstChunkTime - req.startTime) / 1000
+        );
+      });
+    }
     
-    // Pipe the response body (for streaming responses, this will stream)
-    proxyRes.pipe(res);
-    proxyRes.on('error', (err) => {
-      console.error('Error piping proxy response:', err);
-      if (!res.headersSent) {
-        res.status(502).json({
-          error: 'Bad Gateway',
-          message: 'Error reading response from origin server'
+    // Record token usage once the response ends - counts against the key's daily budget
+    // and goes to the usage log for /admin/usage
+    if (req.apiKey) {
+      observeUsage(proxyRes, (usage, responseModel) => {
+        req.usage = usage;
+        if (usage) {
+          rateLimiter.recordUsage(req.apiKey.id, usage);
+          recordTokenMetrics(req, usage, responseModel);
+        }
+        usageLog.record({
+          keyId: req.apiKey.id,
+          keyName: req.apiKey.name,
+          model: responseModel || req.body?.model || null,
+          method: req.method,
+          path: req.clientPath || req.path,
+          status: proxyRes.statusCode,
+          stream: Boolean(req.body?.stream) && !req.keepAlive?.aggregate,
+          promptTokens: usage?.promptTokens || 0,
+          completionTokens: usage?.completionTokens || 0,
+          totalTokens: usage?.totalTokens || 0,
+          latencyMs: Date.now() - req.startTime
         });
+      });
+    }
+    
+    // Keep complete answers to cacheable requests (see lib/cache.js)
+    if (req.cacheKey) {
+      responseCache.capture(req.cacheKey, proxyRes, { aggregate: req.keepAlive?.aggregate });
+    }
+    
+    // Write the response, applying any body rewrites (for streaming responses, this will stream)
+    // Translated requests (e.g. /v1/messages) get the response in their client's format.
+    if (req.responseAdapter) {
+      req.responseAdapter.send(proxyRes, res, proxyRes.statusCode, responseHeaders, req.responseTransforms);
+    } else if (req.keepAlive) {
+      sendKeepAliveResponse(proxyRes, req, res, proxyRes.statusCode, responseHeaders, req.responseTransforms);
+    } else {
+      sendTransformedResponse(proxyRes, res, proxyRes.statusCode, responseHeaders, req.responseTransforms);
+    }
+    proxyRes.on('error', (err) => {
+      if (req.cutOff) {
+        return;
       }
+      req.log.error('Error piping proxy response', { error: err });
+      // Streams that already started get a final SSE error event
+      proxyRes.unpipe();
+      sendErrorResponse(req, res, 502, errorBody(req, 502, 'Error reading response from origin server', 'upstream_error', {
+        details: err.message
+      }));
     });
   },
   onError: (err, req, res) => {
-    console.error('Proxy error:', err);
-    console.error('  Error code:', err.code);
-    console.error('  Error message:', err.message);
-    console.error('  Request URL:', req.url);
-    console.error('  Target:', LM_STUDIO_URL);
+    // Cut off by a shutdown (see cutOffRequest) - the client already got its error
+    if (req.cutOff) {
+      return;
+    }
+    req.log.error('Proxy error', {
+      error: err,
+      url: req.url,
+      upstream: req.upstream.name,
+      target: req.upstream.url
+    });
     
-    // Check for timeout errors
-    if (err.code === 'ETIMEDOUT' || err.code === 'ECONNRESET' || err.message.includes('timeout')) {
-      console.error('  ⏱️  Timeout error detected');
-      res.status(504).json({ 
-        error: 'Gateway Timeout',
-        message: 'Request to LM Studio timed out',
-        details: err.message,
-        troubleshooting: {
-          'Check LM Studio': 'Verify LM Studio is running and responsive',
-          'Check response time': 'LM Studio may be taking too long to process the request',
-          'Try simpler request': 'The request might be too complex or large',
-          'Check network': 'Network connectivity issues may be causing timeouts'
-        }
-      });
-    } else if (err.code === 'ECONNREFUSED') {
-      console.error('  🔌 Connection refused');
-      res.status(502).json({ 
-        error: 'Bad Gateway',
-        message: 'Unable to connect to LM Studio. Is it running?',
-        details: err.message,
-        troubleshooting: {
-          'Check LM Studio': `Verify LM Studio is running at ${LM_STUDIO_URL}`,
-          'Test connection': `Test directly: curl ${LM_STUDIO_URL}/v1/models`,
-          'Check URL': `Verify LM_STUDIO_URL in .env is correct: ${LM_STUDIO_URL}`
-        }
-      });
-    } else {
-      res.status(502).json({ 
-        error: 'Bad Gateway',
-        message: 'Unable to connect to LM Studio',
-        details: err.message,
-        errorCode: err.code
-      });
+    upstreamPool.markFailure(req.upstream, err);
+    metrics.upstreamErrors.inc({ upstream: req.upstream.name, type: proxyErrorType(err) });
+    
+    // Fail over to the next upstream if the request can safely be replayed
+    // (buffered JSON bodies are re-sent by onProxyReq; other bodies were consumed)
+    const replayable = IDEMPOTENT_METHODS.includes(req.method) ||
+                       (err.code === 'ECONNREFUSED' && (req.rawBody !== undefined || !req.headers['content-length']));
+    // (keep-alive heartbeats may already have sent headers - nothing from LM Studio yet)
+    if (replayable && (!res.headersSent || req.keepAlive)) {
+      return assignUpstream(req, res)
+        .then((assigned) => {
+          if (!assigned) {
+            return sendProxyError(err, req, res);
+          }
+          req.log.info('Retrying on another upstream', { upstream: req.upstream.name, target: req.upstream.url });
+          proxy(req, res, (proxyErr) => {
+            req.log.error('Retry error', { error: proxyErr });
+            sendProxyError(proxyErr, req, res);
+          });
+        })
+        .catch((queueErr) => sendQueueError(queueErr, req, res));
     }
+    
+    sendProxyError(err, req, res);
   },
-  logLevel: 'info'
+  logLevel: 'debug', // Filtered by the logger's level, which can change on config reload
+  // Route http-proxy-middleware's own messages through the structured logger
+  logProvider: () => ({
+    log: (msg) => logger.info(msg, { component: 'http-proxy-middleware' }),
+    debug: (msg) => logger.debug(msg, { component: 'http-proxy-middleware' }),
+    info: (msg) => logger.info(msg, { component: 'http-proxy-middleware' }),
+    warn: (msg) => logger.warn(msg, { component: 'http-proxy-middleware' }),
+    error: (msg) => logger.error(msg, { component: 'http-proxy-middleware' })
+  })
 };
 
 // Create proxy middleware
 const proxy = createProxyMiddleware(proxyOptions);
 
 // Proxy all requests to LM Studio
-app.use('/', proxy);
+app.use('/', selectUpstream, proxy);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({ 
-    error: 'Internal Server Error',
-    message: err.message 
-  });
+  (req.log || logger).error('Unhandled error', { error: err });
+  sendErrorResponse(req, res, 500, errorBody(req, 500, 'The server had an error while processing your request', 'internal_error', {
+    details: err.message
+  }));
 });
 
+// Apply a new configuration. New requests use it right away; requests already in flight
+// keep their snapshot (req.config) and their upstream connection.
+function applySettings(next) {
+  logger.configure({ ...next.logging, file: logFile });
+  if (next.keysFile !== config.keysFile) {
+    keyStore.open(next.keysFile);
+  }
+  const { added, removed } = upstreamPool.reconfigure(next.upstreams, {
+    strategy: next.loadBalancing,
+    cooldownMs: next.upstreamCooldownMs
+  });
+  removed.forEach(upstream => modelInventory.forget(upstream));
+  added.forEach(upstream => modelInventory.refreshUpstream(upstream));
+  requestQueue.configure(next.queue);
+  rateLimiter.defaults = { ...next.limits };
+  modelAliases.replace(next.aliases);
+  config = next;
+  requestQueue.dispatch();
+  return { added: added.map(upstream => upstream.name), removed: removed.map(upstream => upstream.name) };
+}
+
+// Reload the config file - an invalid file is reported and the current configuration kept
+function reloadConfig(reason) {
+  let next;
+  try {
+    next = buildSettings(configFile.read());
+  } catch (err) {
+    logger.error('Config reload failed - keeping the current configuration', { file: configFile.filePath, reason, error: err.message });
+    return;
+  }
+  const upstreams = applySettings(next);
+  logger.info('Configuration reloaded', { file: configFile.filePath, reason, upstreams });
+}
+
+const stopWatchingConfig = configFile && CONFIG_WATCH ? configFile.watch(() => reloadConfig('file changed')) : null;
+if (configFile) {
+  process.on('SIGHUP', () => reloadConfig('SIGHUP'));
+}
+
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 LM Studio Tunnel Server running on port ${PORT}`);
-  console.log(`📡 Proxying to: ${LM_STUDIO_URL}`);
-  console.log(`🔑 API Key configured: ${API_KEY.substring(0, 10)}...`);
-  console.log(`🔒 IP Restrictions: ${ALLOWED_IPS.length > 0 ? ALLOWED_IPS.join(', ') : 'None (allowing all)'}`);
-  console.log(`\nHealth check: http://localhost:${PORT}/health`);
+const server = app.listen(PORT, '0.0.0.0', () => {
+  logger.info('LM Studio Tunnel Server running', {
+    port: Number(PORT),
+    healthCheck: `http://localhost:${PORT}/health`,
+    loadBalancing: upstreamPool.strategy,
+    upstreams: upstreamPool.upstreams.map(upstream => ({
+      name: upstream.name,
+      url: upstream.url,
+      weight: upstream.weight,
+      maxConcurrency: requestQueue.limitFor(upstream) || null
+    })),
+    keyStore: keyStore.filePath,
+    keys: keyStore.size,
+    legacyApiKey: legacyApiKey(config) ? `${legacyApiKey(config).substring(0, 10)}...` : null,
+    cloudflareAccess: cloudflareAccess
+      ? { teamDomain: cloudflareAccess.teamDomain, jwks: cloudflareAccess.jwksSource, identities: cloudflareAccess.identitiesFile }
+      : null,
+    queue: { maxConcurrency: config.queue.maxConcurrency || null, maxLength: config.queue.maxLength, maxWaitMs: config.queue.maxWaitMs },
+    usageLog: usageLog.filePath,
+    admin: { adminKey: Boolean(ADMIN_API_KEY), auditLog: auditLog.filePath },
+    keepAlive: KEEPALIVE_INTERVAL_MS ? { intervalMs: KEEPALIVE_INTERVAL_MS, nonStreaming: KEEPALIVE_NON_STREAMING } : null,
+    responseCache: responseCache?.status() ?? null,
+    responseStore: responseStore?.status() ?? null,
+    rateLimits: rateLimiter.defaults,
+    toolShim: config.toolShim,
+    context: config.context,
+    contentPolicy: { ...config.contentPolicy, deny: config.contentPolicy.deny?.length || 0 },
+    allowedIps: config.allowedIps,
+    deniedIps: config.deniedIps,
+    trustedProxies: config.trustedProxies,
+    configFile: configFile?.filePath || null,
+    logFile: LOG_FILE
+  });
 });
 
+// Graceful shutdown
+// On SIGTERM/SIGINT /health reports "draining" and new requests get a 503, while requests
+// already in flight (queued ones included) get SHUTDOWN_TIMEOUT_MS to finish. The listener
+// stays open until then, so health checks see "draining" rather than a refused connection.
+// Whatever is still running at the deadline - or when a second signal arrives - is cut off
+// with an error the client can see: a final SSE error event for streams, a 503 otherwise.
+let shutdown = null;
+
+// End a request that is still running at the shutdown deadline
+function cutOffRequest(req, res) {
+  const body = errorBody(req, 503, 'Server shut down before the response was complete', 'server_shutting_down');
+  req.cutOff = true;
+  req.keepAlive?.stop();
+  if (!res.headersSent) {
+    res.setHeader('Retry-After', '10');
+    res.status(503).json(body);
+  } else {
+    endStartedResponse(req, res, 503, body);
+  }
+  // Stop LM Studio generating a response nobody will read
+  req.proxyReq?.destroy();
+}
+
+function cutOffRemaining() {
+  logger.warn('Cutting off requests still in flight', { count: activeRequests.size });
+  for (const req of [...activeRequests]) {
+    cutOffRequest(req, req.res);
+  }
+}
+
+function finishShutdown() {
+  if (shutdown.finished) {
+    return;
+  }
+  shutdown.finished = true;
+  clearTimeout(shutdown.timer);
+  logger.info('Shutdown complete', { durationMs: Date.now() - shutdown.startedAt });
+  server.closeAllConnections();
+  // Leave a moment for pending log and usage writes
+  setTimeout(() => process.exit(0), 100);
+}
+
+// At the deadline: stop listening, cut off what's left and exit once it has ended
+function closeServer() {
+  shutdown.closed = true;
+  clearTimeout(shutdown.timer);
+  server.close();
+  if (activeRequests.size > 0) {
+    cutOffRemaining();
+  }
+  if (activeRequests.size === 0) {
+    finishShutdown();
+  }
+}
+
+function beginShutdown(signal) {
+  if (shutdown) {
+    logger.warn('Received a second signal - not waiting for the shutdown deadline', { signal });
+    return closeServer();
+  }
+  shutdown = {
+    signal,
+    startedAt: Date.now(),
+    deadline: Date.now() + SHUTDOWN_TIMEOUT_MS,
+    closed: false,
+    timer: setTimeout(() => closeServer(), SHUTDOWN_TIMEOUT_MS)
+  };
+  logger.info('Shutting down - draining requests in flight', { signal, inFlight: activeRequests.size, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+
+  modelInventory.stop();
+  stopWatchingConfig?.();
+  // Responses that haven't started yet close their connection when done
+  for (const req of activeRequests) {
+    if (!req.res.headersSent) {
+      req.res.setHeader('Connection', 'close');
+    }
+  }
+}
+
+process.on('SIGTERM', () => beginShutdown('SIGTERM'));
+process.on('SIGINT', () => beginShutdown('SIGINT'));
@@ -0,0 +1,270 @@
+// LM Studio Underpass dashboard
+// Polls /admin/dashboard and renders it. No external scripts - this has to work on a LAN
+// without internet access. The admin key is kept in sessionStorage; behind Cloudflare
+// Access, the Access session is enough when the identity has the "admin" scope.
+
+const REFRESH_MS = 5000;
+const KEY_STORAGE = 'underpass-admin-key';
+const COLORS = ['#2563eb', '#16a34a', '#d97706', '#9333ea', '#dc2626', '#0891b2', '#65a30d', '#db2777', '#4b5563'];
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+let timer = null;
+
+// Build an element: el('td', { class: 'num' }, 'text', otherNode, ...)
+function el(tag, attrs = {}, ...children) {
+  const node = document.createElement(tag);
+  for (const [name, value] of Object.entries(attrs)) {
+    if (value !== null && value !== undefined && value !== false) {
+      node.setAttribute(name, value);
+    }
+  }
+  for (const child of children.flat()) {
+    if (child !== null && child !== undefined) {
+      node.append(child instanceof Node ? child : String(child));
+    }
+  }
+  return node;
+}
+
+function svg(tag, attrs = {}, ...children) {
+  const node = document.createElementNS(SVG_NS, tag);
+  for (const [name, value] of Object.entries(attrs)) {
+    node.setAttribute(name, value);
+  }
+  node.append(...children);
+  return node;
+}
+
+function badge(text, kind) {
+  return el('span', { class: `badge ${kind}` }, text);
+}
+
+function number(value) {
+  return value === null || value === undefined ? '' : Number(value).toLocaleString();
+}
+
+function duration(ms) {
+  if (ms === null || ms === undefined) {
+    return '';
+  }
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function time(iso) {
+  return iso ? new Date(iso).toLocaleTimeString() : '';
+}
+
+function statusKind(status) {
+  if (status >= 500) {
+    return 'bad';
+  }
+  return status >= 400 ? 'warn' : 'ok';
+}
+
+// Replace a table's contents with a header row and body rows
+function fillTable(id, headers, rows, empty = 'Nothing yet') {
+  const table = document.getElementById(id);
+  table.replaceChildren(
+    el('thead', {}, el('tr', {}, headers.map(header => el('th', {}, header)))),
+    el('tbody', {}, rows.length > 0 ? rows : el('tr', {}, el('td', { colspan: headers.length, class: 'muted' }, empty)))
+  );
+}
+
+function renderSummary(data) {
+  const queue = data.queue;
+  document.getElementById('summary').replaceChildren(
+    badge(data.status, data.status === 'ok' ? 'ok' : 'bad'),
+    ` ${data.inFlight} in flight · ${queue.depth} queued · ${data.loadBalancing} · updated ${time(data.generatedAt)}`
+  );
+}
+
+function renderUpstreams(upstreams) {
+  fillTable('upstreams', ['Name', 'URL', 'Status', 'Active', 'Requests', 'Failures', 'Last error', 'Loaded models'],
+    upstreams.map((upstream) => {
+      const state = upstream.draining
+        ? badge('draining', 'warn')
+        : badge(upstream.status, upstream.status === 'down' ? 'bad' : upstream.status === 'healthy' ? 'ok' : 'warn');
+      return el('tr', {},
+        el('td', {}, upstream.name),
+        el('td', {}, upstream.url),
+        el('td', {}, state, upstream.retryAt ? el('span', { class: 'muted' }, ` retry ${time(upstream.retryAt)}`) : null),
+        el('td', { class: 'num' }, `${upstream.activeConnections}${upstream.maxConcurrency ? ` / ${upstream.maxConcurrency}` : ''}`),
+        el('td', { class: 'num' }, number(upstream.totalRequests)),
+        el('td', { class: 'num' }, number(upstream.totalFailures)),
+        el('td', {}, upstream.lastError ? `${upstream.lastError} (${time(upstream.lastErrorAt)})` : ''),
+        el('td', { class: 'wrap' }, upstream.loadedModels.join(', '))
+      );
+    }));
+}
+
+function renderModels(models, aliases) {
+  const aliasesFor = (id) => Object.entries(aliases).filter(([, target]) => target === id).map(([alias]) => alias);
+  fillTable('models', ['Model', 'Upstreams', 'Loaded on', 'Aliases'],
+    models.map(model => el('tr', {},
+      el('td', {}, model.id),
+      el('td', {}, model.upstreams.join(', ')),
+      el('td', {}, model.loadedOn.length > 0 ? badge(model.loadedOn.join(', '), 'ok') : el('span', { class: 'muted' }, 'not loaded')),
+      el('td', {}, aliasesFor(model.id).join(', '))
+    )),
+    'No models reported by the upstreams yet');
+}
+
+// Stacked bars of total tokens per day, one color per key
+function renderUsageChart(usage) {
+  const keys = [...new Set(usage.byDay.flatMap(day => Object.keys(day.keys)))].sort();
+  const color = (key) => COLORS[keys.indexOf(key) % COLORS.length];
+  const totalOf = (totals) => totals.promptTokens + totals.completionTokens;
+  const max = Math.max(1, ...usage.byDay.map(day => Object.values(day.keys).reduce((sum, totals) => sum + totalOf(totals), 0)));
+
+  const width = 800;
+  const height = 180;
+  const top = 10;
+  const bottom = 20;
+  const slot = width / usage.byDay.length;
+  const chart = svg('svg', { viewBox: `0 0 ${width} ${height}`, width: '100%', height, preserveAspectRatio: 'none', role: 'img' });
+
+  usage.byDay.forEach((day, index) => {
+    let y = height - bottom;
+    for (const key of keys) {
+      const totals = day.keys[key];
+      if (!totals) {
+        continue;
+      }
+      const barHeight = (totalOf(totals) / max) * (height - top - bottom);
+      y -= barHeight;
+      chart.append(svg('rect', { x: index * slot + slot * 0.15, y, width: slot * 0.7, height: barHeight, fill: color(key) },
+        svg('title', {}, `${day.day} · ${key}: ${number(totalOf(totals))} tokens in ${number(totals.requests)} requests`)));
+    }
+    chart.append(svg('text', { x: index * slot + slot / 2, y: height - 5, 'text-anchor': 'middle' }, day.day.substring(5)));
+  });
+  chart.append(svg('text', { x: 2, y: top + 2 }, `${number(max)} tokens`));
+
+  const legend = el('div', { class: 'legend' }, keys.map((key) => {
+    const swatch = el('span', { class: 'swatch' });
+    swatch.style.background = color(key);
+    return el('span', {}, swatch, key);
+  }));
+
+  document.getElementById('usage-range').textContent = `since ${usage.from}`;
+  document.getElementById('usage-chart').replaceChildren(
+    keys.length > 0 ? legend : el('p', { class: 'muted' }, 'No usage recorded in this period'),
+    chart
+  );
+
+  fillTable('usage-keys', ['Key', 'Requests', 'Prompt tokens', 'Completion tokens', 'Avg latency'],
+    usage.byKey
+      .sort((a, b) => b.totalTokens - a.totalTokens)
+      .map(key => el('tr', {},
+        el('td', {}, key.keyName || key.keyId),
+        el('td', { class: 'num' }, number(key.requests)),
+        el('td', { class: 'num' }, number(key.promptTokens)),
+        el('td', { class: 'num' }, number(key.completionTokens)),
+        el('td', { class: 'num' }, duration(key.avgLatencyMs))
+      )));
+}
+
+function renderRequests(requests) {
+  fillTable('requests', ['Time', 'Key', 'Request', 'Model', 'Status', 'Upstream', 'Latency', 'First token', 'Prompt', 'Completion'],
+    requests.map(request => el('tr', {},
+      el('td', {}, time(request.time)),
+      el('td', {}, request.keyName || ''),
+      el('td', {}, `${request.method} ${request.path}`),
+      el('td', {}, request.model || ''),
+      el('td', {}, badge(request.aborted ? `${request.status} aborted` : request.status, statusKind(request.status))),
+      el('td', {}, request.upstream || ''),
+      el('td', { class: 'num' }, duration(request.latencyMs)),
+      el('td', { class: 'num' }, duration(request.timeToFirstTokenMs)),
+      el('td', { class: 'num' }, number(request.promptTokens)),
+      el('td', { class: 'num' }, number(request.completionTokens))
+    )));
+}
+
+function renderErrors(errors) {
+  const detailsOf = ({ time: _time, level: _level, msg: _msg, requestId: _requestId, ...fields }) =>
+    Object.entries(fields)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([name, value]) => `${name}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+      .join(' ');
+  fillTable('errors', ['Time', 'Level', 'Message', 'Request', 'Details'],
+    errors.map(entry => el('tr', {},
+      el('td', {}, time(entry.time)),
+      el('td', {}, badge(entry.level, entry.level === 'error' ? 'bad' : 'warn')),
+      el('td', {}, entry.msg),
+      el('td', {}, entry.requestId || ''),
+      el('td', { class: 'wrap' }, detailsOf(entry))
+    )),
+    'No errors or warnings since the server started');
+}
+
+function render(data) {
+  renderSummary(data);
+  renderUpstreams(data.upstreams);
+  renderModels(data.models, data.aliases);
+  renderUsageChart(data.usage);
+  renderRequests(data.recentRequests);
+  renderErrors(data.errors);
+}
+
+function showLogin(message = '') {
+  clearTimeout(timer);
+  document.getElementById('dashboard').hidden = true;
+  document.getElementById('logout').hidden = true;
+  document.getElementById('login').hidden = false;
+  document.getElementById('login-error').textContent = message;
+  document.getElementById('summary').replaceChildren();
+}
+
+async function refresh() {
+  clearTimeout(timer);
+  const key = sessionStorage.getItem(KEY_STORAGE);
+  let response;
+  try {
+    response = await fetch('/admin/dashboard', {
+      headers: key ? { Authorization: `Bearer ${key}` } : {},
+      credentials: 'same-origin',
+      cache: 'no-store'
+    });
+  } catch (err) {
+    document.getElementById('summary').replaceChildren(badge('offline', 'bad'), ` ${err.message}`);
+    timer = setTimeout(refresh, REFRESH_MS);
+    return;
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    const body = await response.json().catch(() => ({}));
+    sessionStorage.removeItem(KEY_STORAGE);
+    return showLogin(key ? body.error?.message || 'Not allowed' : '');
+  }
+  if (!response.ok) {
+    document.getElementById('summary').replaceChildren(badge(`HTTP ${response.status}`, 'bad'));
+  } else {
+    document.getElementById('login').hidden = true;
+    document.getElementById('dashboard').hidden = false;
+    document.getElementById('logout').hidden = !key;
+    render(await response.json());
+  }
+  timer = setTimeout(refresh, REFRESH_MS);
+}
+
+document.getElementById('login-form').addEventListener('submit', (event) => {
+  event.preventDefault();
+  sessionStorage.setItem(KEY_STORAGE, document.getElementById('login-key').value.trim());
+  document.getElementById('login-key').value = '';
+  refresh();
+});
+
+document.getElementById('logout').addEventListener('click', () => {
+  sessionStorage.removeItem(KEY_STORAGE);
+  showLogin();
+});
+
+// Don't poll while the tab is in the background
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) {
+    clearTimeout(timer);
+  } else {
+    refresh();
+  }
+});
+
+refresh();